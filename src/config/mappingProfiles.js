@@ -0,0 +1,88 @@
+const fs = require("fs")
+const path = require("path")
+const { normalizeMappingProfile } = require("../utils/recordMapper")
+
+const DEFAULT_MAPPING_PROFILE = "users"
+
+// Built-in profiles; MAPPING_PROFILES_FILE may add more but not redefine these
+const BUILT_IN_PROFILES = {
+  users: {
+    description:
+      "Users: name from firstName + lastName (each also kept on its own), age and address columns, " +
+      "everything else in additional_info",
+    table: "public.users",
+    required: ["name.firstName", "name.lastName", "age"],
+    columns: {
+      name: { paths: ["name.firstName", "name.lastName"], transform: "concat", separator: " " },
+      first_name: { path: "name.firstName" },
+      last_name: { path: "name.lastName" },
+      age: { path: "age", type: "integer", min: 0, max: 150 },
+      address: { path: "address", type: "jsonb" },
+    },
+    leftover: { column: "additional_info" },
+    importIdColumn: "import_id",
+    // The age column is NOT NULL, and range rules skip missing values
+    rules: [{ type: "required", path: "age" }],
+  },
+}
+
+/**
+ * Load the built-in profiles plus those defined in MAPPING_PROFILES_FILE
+ * The file holds a JSON object of profile definitions keyed by profile name
+ * @returns {Map} Profiles by name
+ * @throws {Error} If the file cannot be read or a profile is invalid
+ */
+function loadMappingProfiles() {
+  const profiles = new Map()
+
+  for (const [name, definition] of Object.entries(BUILT_IN_PROFILES)) {
+    profiles.set(name, normalizeMappingProfile(name, definition))
+  }
+
+  if (process.env.MAPPING_PROFILES_FILE) {
+    const filePath = path.resolve(process.env.MAPPING_PROFILES_FILE)
+    let definitions
+    try {
+      definitions = JSON.parse(fs.readFileSync(filePath, "utf8"))
+    } catch (error) {
+      throw new Error(`Cannot load mapping profiles from ${filePath}: ${error.message}`)
+    }
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      if (profiles.has(name)) {
+        throw new Error(`Mapping profile '${name}' is built in and cannot be redefined`)
+      }
+      profiles.set(name, normalizeMappingProfile(name, definition))
+    }
+  }
+
+  return profiles
+}
+
+const mappingProfiles = loadMappingProfiles()
+
+/**
+ * @param {string} [name] - Profile name (defaults to users)
+ * @returns {Object} Profile
+ * @throws {Error} If no profile has this name
+ */
+function getMappingProfile(name = DEFAULT_MAPPING_PROFILE) {
+  const profile = mappingProfiles.get(name)
+  if (!profile) {
+    throw new Error(`Unknown mapping profile '${name}'. Available: ${[...mappingProfiles.keys()].join(", ")}`)
+  }
+  return profile
+}
+
+/**
+ * @returns {Array} Every configured profile
+ */
+function listMappingProfiles() {
+  return [...mappingProfiles.values()]
+}
+
+module.exports = {
+  DEFAULT_MAPPING_PROFILE,
+  getMappingProfile,
+  listMappingProfiles,
+}
@@ -0,0 +1,109 @@
+// src/controllers/apiKeyController.js
+
+const apiKeys = require("../utils/apiKeys")
+const logger = require("../utils/logger")
+
+class ApiKeyController {
+  /**
+   * Create an API key; the response is the only place the key itself is shown
+   */
+  async createApiKey(req, res) {
+    let options
+    try {
+      options = apiKeys.normalizeApiKeyOptions(req.body || {})
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const { key, apiKey } = await apiKeys.createApiKey(options)
+
+      res.status(201).json({
+        success: true,
+        message: "Store this key now; it cannot be shown again",
+        key,
+        apiKey,
+      })
+    } catch (error) {
+      logger.error("Error creating API key", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async listApiKeys(req, res) {
+    try {
+      const keys = await apiKeys.listApiKeys({ includeRevoked: req.query.includeRevoked === "true" })
+
+      res.json({
+        success: true,
+        apiKeys: keys,
+      })
+    } catch (error) {
+      logger.error("Error fetching API keys", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Get one API key with today's usage against its quotas
+   */
+  async getApiKey(req, res) {
+    try {
+      const id = parseApiKeyId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid API key id" })
+      }
+
+      const apiKey = await apiKeys.getApiKey(id)
+      if (!apiKey) {
+        return res.status(404).json({ error: `API key ${id} not found` })
+      }
+
+      res.json({
+        success: true,
+        apiKey,
+        usageToday: await apiKeys.getDailyUsage(id),
+      })
+    } catch (error) {
+      logger.error("Error fetching API key", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const id = parseApiKeyId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid API key id" })
+      }
+
+      const revoked = await apiKeys.revokeApiKey(id)
+      if (!revoked) {
+        const existing = await apiKeys.getApiKey(id)
+        return existing
+          ? res.status(409).json({ error: `API key ${id} has already been revoked` })
+          : res.status(404).json({ error: `API key ${id} not found` })
+      }
+
+      res.json({
+        success: true,
+        message: `Revoked API key ${id}`,
+        apiKey: revoked,
+      })
+    } catch (error) {
+      logger.error("Error revoking API key", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+}
+
+/**
+ * @param {string} value - Route parameter
+ * @returns {number|null} Positive integer id, or null if invalid
+ */
+function parseApiKeyId(value) {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+module.exports = new ApiKeyController()
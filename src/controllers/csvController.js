@@ -2,194 +2,1684 @@
 
 const fs = require("fs")
 const path = require("path")
+const { Readable } = require("stream")
+const { pipeline } = require("stream/promises")
+const { from: copyFrom } = require("pg-copy-streams")
 const { pool } = require("../config/database")
 const csvParser = require("../utils/csvParser")
-const { calculateAgeDistribution, printAgeDistributionReport } = require("../utils/ageDistribution")
+const CSVLineSplitter = require("../utils/csvLineSplitter")
+const importJobs = require("../utils/importJobs")
+const ParseReport = require("../utils/parseReport")
+const { normalizeDialectOptions } = require("../utils/csvDialect")
+const { parseSchemaDocument } = require("../utils/columnSchema")
+const { parseValidationRules, mergeValidationRules, RecordValidator } = require("../utils/validationRules")
+const {
+  recordToRow,
+  rowToRecord,
+  getRecordValue,
+  recordPathToSQL,
+  rowsEqual,
+  iterateUsers,
+} = require("../utils/userRecords")
+const { flattenRecord, formatCSVRow, CSVColumnCollector } = require("../utils/csvWriter")
+const { writeChunk } = require("../utils/streamResponse")
+const importHistory = require("../utils/importHistory")
+const logger = require("../utils/logger")
+const metrics = require("../utils/metrics")
+const { QuarantineBuffer, markRowsResolved, markRetryFailed, releaseRows } = require("../utils/quarantine")
+const { webhookDispatcher } = require("../utils/webhooks")
+const { profileCSV } = require("../utils/csvProfiler")
+const { DEFAULT_MAPPING_PROFILE, getMappingProfile } = require("../config/mappingProfiles")
+const { mapRecord, getMappedColumns, isJSONBColumn, quoteIdentifier } = require("../utils/recordMapper")
+const { formatCopyRow } = require("../utils/copyWriter")
+const { DecompressedSizeError, detectUploadFormat, openArchiveEntries } = require("../utils/compressedUpload")
+const { buildUserFilters, parseInteger } = require("../utils/userFilters")
+const {
+  DEFAULT_GROUP_LIMIT,
+  MAX_GROUP_LIMIT,
+  parseBucketBoundaries,
+  parsePercentiles,
+  isNumericField,
+  calculateDistribution,
+} = require("../utils/distribution")
+const { calculateAgeDistribution, formatAgeDistribution } = require("../utils/ageDistribution")
+const {
+  parseUserSort,
+  parsePageLimit,
+  parsePageOffset,
+  encodeCursor,
+  decodeCursor,
+  buildUserPageQuery,
+} = require("../utils/userPagination")
+
+const EXPORT_FORMATS = ["csv", "ndjson", "json"]
+const EXPORT_CHUNK_SIZE = 64 * 1024
+const CONFLICT_STRATEGIES = ["update", "skip", "report"]
+const MAX_REPORTED_CONFLICTS = 1000
+// Advisory lock name every upsert transaction holds until it commits
+const UPSERT_LOCK_NAME = "public.users upsert"
+const INSERT_METHODS = ["insert", "copy"]
+const CONVERT_FORMATS = ["json", "ndjson"]
+const CONVERT_STRUCTURES = ["nested", "flat"]
+// Request bodies POST /api/convert reads as CSV when no file is uploaded
+const CONVERT_CONTENT_TYPES = ["text/csv", "text/plain"]
+const COPY_CHUNK_ROWS = 1000
+// Upload fields stored with quarantined rows so a retry converts them the same way
+const RETRY_FORM_FIELDS = ["profile", "schema", "rules", "mode", "key", "onConflict"]
 
 class CSVController {
+  /**
+   * Accept an uploaded CSV and process it as a background import job
+   * Responds immediately with the job id; progress is available from
+   * GET /api/jobs/:id and GET /api/jobs/:id/events
+   */
   async uploadAndProcessCSV(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: "No CSV file uploaded" })
+    }
+    // The upload may have started before the server began shutting down
+    if (!importJobs.accepting) {
+      fs.unlinkSync(req.file.path)
+      return res.status(503).json({ error: "The server is shutting down; retry the upload shortly" })
+    }
+
+    let options
     try {
-      if (!req.file) {
-        return res.status(400).json({ error: "No CSV file uploaded" })
+      options = parseUploadOptions(req.body)
+    } catch (error) {
+      fs.unlinkSync(req.file.path)
+      return res.status(400).json({ error: error.message })
+    }
+
+    options.uploadedBy = req.body?.uploadedBy || req.get("X-Uploaded-By") || req.apiKey?.name || null
+    options.apiKeyId = req.apiKey?.id ?? null
+    options.formFields = pickRetryFormFields(req.body)
+
+    const job = importJobs.createJob({ fileName: req.file.originalname, fileSize: req.file.size, requestId: req.id })
+    importJobs.enqueue(
+      job,
+      (job) => this.runImportJob(job, req.file.path, options),
+      () => fs.unlinkSync(req.file.path),
+    )
+
+    res.status(202).json({
+      success: true,
+      message: "CSV file accepted for processing",
+      jobId: job.id,
+      state: job.state,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`,
+      },
+    })
+  }
+
+  /**
+   * Process an upload as an import job and tell the subscribed webhooks how it ended
+   * The webhook deliveries are queued in the background, so the job finishes without waiting for them
+   * @param {Object} job - Import job
+   * @param {string} filePath - Path to the uploaded file
+   * @param {Object} options - Import options, as for processUpload
+   * @returns {Object} Import result
+   */
+  async runImportJob(job, filePath, options) {
+    const profile = options.profile || getMappingProfile()
+    let outcome
+
+    try {
+      outcome = { result: await this.processUpload(job, filePath, options) }
+      return outcome.result
+    } catch (error) {
+      outcome = { error }
+      throw error
+    } finally {
+      const ageDistribution =
+        profile.name === DEFAULT_MAPPING_PROFILE ? await this.generateAgeDistributionReport() : null
+      const event = outcome.error ? "import.failed" : "import.completed"
+      webhookDispatcher
+        .dispatch(event, () => buildImportEventData(job, profile, outcome, ageDistribution))
+        .catch((error) => logger.error(`Failed to queue ${event} webhooks for job ${job.id}`, { error }))
+    }
+  }
+
+  /**
+   * Import an uploaded file: a CSV, a gzipped CSV or a zip archive of CSVs
+   * Every CSV is imported separately (with its own import history entry and
+   * transaction), so one bad file in an archive does not undo the others
+   * @param {Object} job - Import job
+   * @param {string} filePath - Path to the uploaded file
+   * @param {Object} [options] - Import options from parseUploadOptions, plus uploadedBy and apiKeyId
+   * @returns {Object} Import result; archives list a result per file under files
+   */
+  async processUpload(job, filePath, options = {}) {
+    const profile = options.profile || getMappingProfile()
+
+    try {
+      const format = await detectUploadFormat(filePath)
+
+      if (format === "csv") {
+        const source = { fileName: job.fileName, input: filePath, fileSize: fs.statSync(filePath).size }
+        return await this.processCSVImport(job, source, options)
       }
 
-      const filePath = req.file.path
-      const fileSize = fs.statSync(filePath).size
-      console.log(`Processing CSV file: ${filePath} (${(fileSize / 1024 / 1024).toFixed(2)} MB)`)
+      const files = []
+      for await (const entry of openArchiveEntries(filePath, { format, fileName: job.fileName })) {
+        if (entry.skipped) {
+          files.push({ fileName: entry.fileName, status: "skipped", reason: entry.skipped })
+          continue
+        }
 
-      // Parse CSV file
-      const startTime = Date.now()
-      const jsonData = await csvParser.parseCSVFile(filePath)
-      const parseTime = Date.now() - startTime
-      console.log(`Parsed ${jsonData.length} records from CSV in ${parseTime}ms`)
+        importJobs.update(job, { currentFile: entry.fileName })
+        try {
+          const result = await this.processCSVImport(job, entry, options)
+          files.push({ fileName: entry.fileName, status: "imported", ...result })
+        } catch (error) {
+          logger.error(`Import of ${entry.fileName} from ${job.fileName} failed`, { error })
+          importJobs.addError(job, { file: entry.fileName, message: error.message })
+          files.push({ fileName: entry.fileName, status: "failed", error: error.message })
 
-      // Insert data into database with batch processing for large files
-      const insertStartTime = Date.now()
-      const insertedCount = await this.insertUsersToDatabase(jsonData)
-      const insertTime = Date.now() - insertStartTime
-      console.log(`Inserted ${insertedCount} users into database in ${insertTime}ms`)
+          // The size budget is shared, so later files would fail the same way
+          if (error instanceof DecompressedSizeError) break
+        }
+      }
 
-      // Calculate and print age distribution
-      await this.generateAgeDistributionReport()
+      const csvFiles = files.filter((file) => file.status !== "skipped")
+      if (csvFiles.length === 0) {
+        throw new Error(`${job.fileName} contains no CSV files`)
+      }
 
+      const imported = csvFiles.filter((file) => file.status === "imported")
+      if (imported.length === 0) {
+        // The reason for each file is already on the job's errors
+        throw new Error(`No CSV file in ${job.fileName} could be imported`)
+      }
+
+      const records = imported.reduce((sum, file) => sum + (file.recordsProcessed ?? file.counts.inserted), 0)
+      return {
+        message: `Imported ${imported.length} of ${csvFiles.length} CSV files (${records} records)`,
+        format,
+        mappingProfile: profile.name,
+        files,
+      }
+    } finally {
       // Clean up uploaded file
-      fs.unlinkSync(filePath)
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+      }
+    }
+  }
 
-      res.json({
-        success: true,
-        message: `Successfully processed ${insertedCount} records`,
-        recordsProcessed: insertedCount,
+  /**
+   * Parse one CSV and insert its records, reporting progress on the job
+   * Records are mapped onto the table of the selected mapping profile. The run
+   * is recorded in public.imports and, when the profile has an import id
+   * column, every inserted row is tagged so the import can be rolled back later.
+   * Skipped rows are kept in the quarantine table for review and retry.
+   * Job counters accumulate across the files of an archive.
+   * @param {Object} job - Import job
+   * @param {Object} source - { fileName, input, fileSize } where input is a file path or readable stream
+   * @param {Object} [options] - Import options from parseUploadOptions, plus uploadedBy, apiKeyId
+   *   and the formFields a retry of quarantined rows needs
+   * @returns {Object} Import result
+   */
+  async processCSVImport(job, source, options = {}) {
+    const profile = options.profile || getMappingProfile()
+    // Counters before this file, so per-file numbers can be told apart from the job totals
+    const before = {
+      parsed: job.rowsParsed,
+      inserted: job.rowsInserted,
+      updated: job.rowsUpdated,
+      skipped: job.rowsSkipped,
+    }
+    let importId = null
+    let quarantine = null
+
+    try {
+      logger.info(`Processing CSV file: ${source.fileName} (${(source.fileSize / 1024 / 1024).toFixed(2)} MB)`, {
+        fileName: source.fileName,
+        fileSize: source.fileSize,
+        mappingProfile: profile.name,
+      })
+
+      importId = await importHistory.createImport({
+        fileName: source.fileName,
+        fileSize: source.fileSize,
+        uploadedBy: options.uploadedBy,
+        apiKeyId: options.apiKeyId,
+        mappingProfile: profile.name,
+        targetTable: profile.table,
+      })
+      importJobs.update(job, { importId })
+      logger.addContext({ importId })
+      quarantine = new QuarantineBuffer({ importId, fileName: source.fileName, uploadOptions: options.formFields })
+
+      // Stream records straight from the parser into batched inserts
+      const timing = { parsing: 0 }
+      const report = new ParseReport()
+      const parsedRecords = csvParser.parseCSVStream(source.input, {
+        dialect: options.dialect,
+        schema: options.schema,
+        mandatoryFields: profile.required,
+        validator: options.validator,
+        report,
+        onHeaderRow: (line) => quarantine.setHeader(line, report.dialect),
+        onRowSkipped: (lineNumber, reason, line) => {
+          job.rowsSkipped++
+          importJobs.addError(job, { line: lineNumber, message: reason })
+          return quarantine.add(lineNumber, reason, line)
+        },
+      })
+      const countRecord = () => {
+        // Stop between records when the server shuts down, so the transaction rolls back
+        importJobs.throwIfAborted()
+        job.rowsParsed++
+      }
+      const records = quarantine.writeWhileIterating(measureIteration(parsedRecords, timing, countRecord))
+
+      const startTime = Date.now()
+      const onBatchInserted = (insertedCount, counts) => {
+        importJobs.update(job, {
+          state: "inserting",
+          rowsInserted: before.inserted + insertedCount,
+          rowsUpdated: before.updated + (counts?.updated || 0),
+        })
+      }
+
+      let counts
+      let conflicts
+      if (options.upsert) {
+        ;({ counts, conflicts } = await this.upsertUsersToDatabase(records, options.upsert, {
+          importId,
+          onBatchInserted,
+        }))
+      } else {
+        const insertRecords = options.method === "copy" ? this.copyRecordsToDatabase : this.insertRecordsToDatabase
+        const insertedCount = await insertRecords.call(this, records, { profile, importId, onBatchInserted })
+        counts = { inserted: insertedCount }
+      }
+
+      const totalTime = Date.now() - startTime
+      const parseTime = timing.parsing
+      const insertTime = totalTime - parseTime
+      const rowsParsed = job.rowsParsed - before.parsed
+      const rowsSkipped = job.rowsSkipped - before.skipped
+      const method = options.upsert ? "upsert" : options.method || "insert"
+
+      await importHistory.completeImport(importId, {
+        rowsParsed,
+        rowsInserted: counts.inserted,
+        rowsUpdated: counts.updated,
+        rowsSkipped,
+        parseTimeMs: parseTime,
+        insertTimeMs: insertTime,
+      })
+      metrics.recordImport({
+        profile: profile.name,
+        status: "completed",
+        method,
+        parseMs: parseTime,
+        insertMs: insertTime,
+        rowsAccepted: rowsParsed,
+        rowsSkipped,
+      })
+      logger.info(`Parsed and stored ${rowsParsed} records in ${totalTime}ms (parsing ${parseTime}ms)`, {
+        method,
+        rowsParsed,
+        rowsSkipped,
+        parseTimeMs: parseTime,
+        insertTimeMs: insertTime,
+      })
+
+      const summary = options.upsert
+        ? `${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged`
+        : `${counts.inserted} records`
+
+      return {
+        message: `Successfully processed ${summary}`,
+        importId,
+        mappingProfile: profile.name,
+        ...(options.upsert ? { counts, conflicts } : { recordsProcessed: counts.inserted }),
+        quarantinedRows: quarantine.count,
         processingTime: {
+          method,
           parsing: `${parseTime}ms`,
           insertion: `${insertTime}ms`,
-          total: `${parseTime + insertTime}ms`,
+          total: `${totalTime}ms`,
+          rowsPerSecond: totalTime > 0 ? Math.round((rowsParsed / totalTime) * 1000) : null,
+        },
+        report: report.toJSON(),
+      }
+    } catch (error) {
+      // The file's transaction was rolled back
+      importJobs.update(job, { rowsInserted: before.inserted, rowsUpdated: before.updated })
+      metrics.recordImport({ profile: profile.name, status: "failed" })
+
+      if (importId !== null) {
+        await importHistory.failImport(importId, error).catch((historyError) => {
+          logger.error(`Failed to mark import ${importId} as failed`, { error: historyError })
+        })
+      }
+      // The file has to be uploaded again, so its skipped rows would only be duplicated
+      if (quarantine !== null) {
+        await quarantine.discard().catch((quarantineError) => {
+          logger.error(`Failed to remove quarantined rows of import ${importId}`, { error: quarantineError })
+        })
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Run quarantined rows through the normal conversion and insert path again
+   * Rows are grouped by the file they came from; each group is parsed with that
+   * file's header line, dialect and upload options and stored as a new import,
+   * which can be rolled back like any other. Rows that fail again go back to
+   * pending with the new reason.
+   * @param {Array} rows - Rows claimed with quarantine.claimPendingRows
+   * @param {Object} [details] - { uploadedBy, apiKeyId } for the import history
+   * @param {Object} [job] - Import job to report progress to
+   * @returns {Object} { resolved: [{ id, importId }], failed: [{ id, reason }] }
+   */
+  async retryQuarantinedRows(rows, details = {}, job = null) {
+    const outcome = { resolved: [], failed: [] }
+
+    try {
+      const groups = new Map()
+      for (const row of rows) {
+        // The parser neither converts nor skips an empty line, so it could never be imported
+        if (row.raw.trim() === "") {
+          outcome.failed.push({ id: row.id, reason: "The row is empty; correct it before retrying" })
+          continue
+        }
+
+        const key = JSON.stringify([row.import_id, row.file_name, row.header_line, row.dialect, row.upload_options])
+        if (!groups.has(key)) groups.set(key, [])
+        groups.get(key).push(row)
+      }
+
+      for (const group of groups.values()) {
+        // Every group is its own import, so a shutdown can stop between them
+        importJobs.throwIfAborted()
+        const { resolved, failed } = await this.retryQuarantineGroup(group, details)
+        outcome.resolved.push(...resolved)
+        outcome.failed.push(...failed)
+        if (job) {
+          importJobs.update(job, {
+            rowsParsed: outcome.resolved.length + outcome.failed.length,
+            rowsInserted: outcome.resolved.length,
+            rowsSkipped: outcome.failed.length,
+          })
+        }
+      }
+
+      for (const { id, reason } of outcome.failed) {
+        await markRetryFailed(id, reason)
+      }
+      return outcome
+    } finally {
+      // Rows an error left unfinished become pending again
+      await releaseRows(rows.map((row) => row.id))
+    }
+  }
+
+  /**
+   * @param {Array} rows - Quarantined rows sharing header line, dialect and upload options
+   * @param {Object} details - { uploadedBy, apiKeyId }
+   * @returns {Object} { resolved, failed } as for retryQuarantinedRows
+   */
+  async retryQuarantineGroup(rows, details) {
+    const [first] = rows
+    const failAll = (reason) => ({ resolved: [], failed: rows.map((row) => ({ id: row.id, reason })) })
+
+    let options
+    try {
+      options = parseUploadOptions(first.upload_options)
+    } catch (error) {
+      return failAll(`Upload options can no longer be used: ${error.message}`)
+    }
+
+    // A row that is no longer exactly one CSV line would shift or swallow the rows after it
+    const failed = []
+    const retryRows = []
+    for (const row of rows) {
+      const problem = findRawRowProblem(row.raw, first.dialect)
+      if (problem) {
+        failed.push({ id: row.id, reason: problem })
+      } else {
+        retryRows.push(row)
+      }
+    }
+    if (retryRows.length === 0) {
+      return { resolved: [], failed }
+    }
+
+    // Rebuild a CSV of the header and the rows, remembering the line each row starts on
+    const rowsByLine = new Map()
+    let lineNumber = countLines(first.header_line, first.dialect) + 1
+    for (const row of retryRows) {
+      rowsByLine.set(lineNumber, row)
+      lineNumber += countLines(row.raw, first.dialect)
+    }
+    const content = [first.header_line, ...retryRows.map((row) => row.raw)].join("\n") + "\n"
+
+    const skipped = new Map()
+    const records = []
+    const parseStart = Date.now()
+    try {
+      const parsedRecords = csvParser.parseCSVStream(Readable.from([content]), {
+        // Raw lines were stored decoded
+        dialect: { ...first.dialect, encoding: "utf-8" },
+        schema: options.schema,
+        mandatoryFields: options.profile.required,
+        validator: options.validator,
+        onRowSkipped: (line, reason) => {
+          const row = rowsByLine.get(line)
+          if (row) skipped.set(row.id, reason)
         },
       })
+      for await (const record of parsedRecords) {
+        records.push(record)
+      }
     } catch (error) {
-      console.error("Error processing CSV:", error)
+      return failAll(error.message)
+    }
+    const parseTime = Date.now() - parseStart
 
-      // Clean up file if it exists
-      if (req.file && fs.existsSync(req.file.path)) {
+    failed.push(...[...skipped].map(([id, reason]) => ({ id, reason })))
+    const accepted = retryRows.filter((row) => !skipped.has(row.id))
+    if (records.length !== accepted.length) {
+      return failAll(`Expected ${accepted.length} records from the rows, got ${records.length}`)
+    }
+    if (accepted.length === 0) {
+      return { resolved: [], failed }
+    }
+
+    let importId = null
+    try {
+      importId = await importHistory.createImport({
+        fileName: `${first.file_name} (quarantine retry)`,
+        fileSize: Buffer.byteLength(content),
+        uploadedBy: details.uploadedBy,
+        apiKeyId: details.apiKeyId,
+        mappingProfile: options.profile.name,
+        targetTable: options.profile.table,
+      })
+
+      const insertStart = Date.now()
+      let counts
+      if (options.upsert) {
+        ;({ counts } = await this.upsertUsersToDatabase(records, options.upsert, { importId }))
+      } else {
+        counts = { inserted: await this.insertRecordsToDatabase(records, { profile: options.profile, importId }) }
+      }
+
+      await importHistory.completeImport(importId, {
+        rowsParsed: records.length,
+        rowsInserted: counts.inserted,
+        rowsUpdated: counts.updated,
+        rowsSkipped: skipped.size,
+        parseTimeMs: parseTime,
+        insertTimeMs: Date.now() - insertStart,
+      })
+      await markRowsResolved(accepted.map((row) => row.id), importId)
+    } catch (error) {
+      if (importId !== null) {
+        await importHistory.failImport(importId, error).catch((historyError) => {
+          logger.error(`Failed to mark import ${importId} as failed`, { error: historyError })
+        })
+      }
+      const reason = `Retry failed: ${error.message}`
+      return { resolved: [], failed: [...failed, ...accepted.map((row) => ({ id: row.id, reason }))] }
+    }
+
+    return { resolved: accepted.map((row) => ({ id: row.id, importId })), failed }
+  }
+
+  /**
+   * Dry-run an uploaded CSV through the parser and mandatory-field checks
+   * Nothing is written to the database; the response is the parse report
+   */
+  async validateCSV(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: "No CSV file uploaded" })
+    }
+    if (await rejectArchiveUpload(req, res)) {
+      return
+    }
+
+    const report = new ParseReport()
+
+    try {
+      const { dialect, schema, profile, validator } = parseUploadOptions(req.body)
+      const records = csvParser.parseCSVStream(req.file.path, {
+        dialect,
+        schema,
+        mandatoryFields: profile.required,
+        validator,
+        report,
+        validateOnly: true,
+      })
+
+      for await (const record of records) {
+        // Records are discarded; only the report matters
+      }
+    } catch (error) {
+      report.addHeaderProblem({ type: "unreadable_file", severity: "error", message: error.message })
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path)
       }
+    }
 
-      res.status(500).json({ error: error.message })
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      report: report.toJSON(),
+    })
+  }
+
+  /**
+   * Profile an uploaded CSV column by column without storing anything
+   * Accepts the dialect and schema fields of an upload plus an optional maxRows
+   */
+  async profileCSV(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: "No CSV file uploaded" })
+    }
+    if (await rejectArchiveUpload(req, res)) {
+      return
+    }
+
+    try {
+      let options
+      try {
+        const { dialect, schema, profile } = parseUploadOptions(req.body)
+        const maxRows = req.body?.maxRows !== undefined ? parseInteger(String(req.body.maxRows), "maxRows") : undefined
+        if (maxRows !== undefined && maxRows < 1) {
+          throw new Error(`Invalid maxRows: expected a positive integer, got ${maxRows}`)
+        }
+        options = { dialect, schema, mandatoryFields: profile.required, maxRows }
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+
+      const profile = await profileCSV(req.file.path, options)
+
+      res.json({
+        success: true,
+        fileName: req.file.originalname,
+        fileSize: req.file.size,
+        profile,
+      })
+    } catch (error) {
+      logger.error("Error profiling CSV", { error })
+      res.status(400).json({ error: error.message })
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path)
+      }
     }
   }
 
   /**
-   * Insert users to database with batch processing for large datasets
-   * Optimized for 50k+ records
-   * @param {Array} jsonData - Array of user objects
+   * Convert a CSV to JSON without storing anything
+   * Accepts a multipart upload (csvFile) or a raw text/csv body; options come
+   * from the query string or form fields. Records are written as they are
+   * parsed, so header errors get a 400 but errors after the first record cut
+   * the response off
+   */
+  async convertCSV(req, res) {
+    const rawBody = !req.file && Boolean(req.is(CONVERT_CONTENT_TYPES))
+    if (!req.file && !rawBody) {
+      return res
+        .status(400)
+        .json({ error: "Send the CSV as a multipart 'csvFile' field or as a text/csv request body" })
+    }
+    if (req.file && (await rejectArchiveUpload(req, res))) {
+      return
+    }
+
+    const maxFileSizeMB = req.app.locals.maxFileSizeMB
+    let options
+    try {
+      options = parseConvertOptions({ ...req.query, ...req.body })
+      if (rawBody && Number(req.get("Content-Length")) > maxFileSizeMB * 1024 * 1024) {
+        throw new Error(`File too large. Maximum size is ${maxFileSizeMB}MB.`)
+      }
+    } catch (error) {
+      if (req.file) fs.unlinkSync(req.file.path)
+      return res.status(400).json({ error: error.message })
+    }
+
+    const ndjson = options.format === "ndjson"
+    let skippedCount = 0
+    const records = csvParser.parseCSVStream(rawBody ? limitBodySize(req, maxFileSizeMB) : req.file.path, {
+      dialect: options.dialect,
+      schema: options.schema,
+      mandatoryFields: options.mandatoryFields,
+      validator: options.validator,
+      flat: options.flat,
+      inferTypes: options.inferTypes,
+      onRowSkipped: () => skippedCount++,
+    })
+
+    try {
+      // Header problems surface when the first record is read, before anything is sent
+      let next
+      try {
+        next = await records.next()
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+
+      res.setHeader("Content-Type", ndjson ? "application/x-ndjson" : "application/json")
+
+      let chunk = ndjson ? "" : "["
+      let convertedCount = 0
+      for (; !next.done; next = await records.next()) {
+        const json = JSON.stringify(next.value)
+        chunk += ndjson ? `${json}\n` : `${convertedCount > 0 ? "," : ""}\n${json}`
+        convertedCount++
+
+        if (chunk.length >= EXPORT_CHUNK_SIZE) {
+          await writeChunk(res, chunk)
+          chunk = ""
+        }
+      }
+
+      await writeChunk(res, ndjson ? chunk : `${chunk}\n]\n`)
+      res.end()
+      logger.info(`Converted ${convertedCount} records (${skippedCount} rows skipped)`, {
+        convertedCount,
+        skippedCount,
+        format: options.format,
+      })
+    } catch (error) {
+      logger.error("Error converting CSV", { error })
+
+      if (res.headersSent) {
+        res.destroy(error)
+      } else {
+        res.status(500).json({ error: error.message })
+      }
+    } finally {
+      await records.return()
+      // Clean up uploaded file
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path)
+      }
+    }
+  }
+
+  /**
+   * Insert records to database with batch processing for large datasets
+   * Accepts an array or an async iterable of records; batches are pulled from
+   * the source only after the previous batch has been written
+   * @param {Array|AsyncIterable} records - Nested records
+   * @param {Object} [options] - Insert options
+   * @param {Object} [options.profile] - Mapping profile (defaults to users)
+   * @param {number} [options.importId] - Import id to tag inserted rows with
+   * @param {Function} [options.onBatchInserted] - Called with the running total after each batch
    * @returns {number} Number of inserted records
    */
-  async insertUsersToDatabase(jsonData) {
+  async insertRecordsToDatabase(records, options = {}) {
+    const profile = options.profile || getMappingProfile()
     const client = await pool.connect()
     let insertedCount = 0
-    const batchSize = 1000 // Process in batches of 1000 records
+    let nextProgressLog = 10000
+    const batchSize = getInsertBatchSize(profile)
+
+    const insertBatch = async (batch) => {
+      insertedCount += await this.insertRecordBatch(client, batch, profile, options.importId)
+
+      if (options.onBatchInserted) {
+        options.onBatchInserted(insertedCount)
+      }
+
+      // Progress logging for large batches
+      if (insertedCount >= nextProgressLog) {
+        logger.info(`Inserted ${insertedCount} records...`, { insertedCount })
+        nextProgressLog += 10000
+      }
+    }
 
     try {
       await client.query("BEGIN")
 
-      // Process in batches for better performance with large datasets
-      for (let i = 0; i < jsonData.length; i += batchSize) {
-        const batch = jsonData.slice(i, i + batchSize)
+      let batch = []
+      for await (const record of records) {
+        batch.push(record)
+
+        if (batch.length === batchSize) {
+          await insertBatch(batch)
+          batch = []
+        }
+      }
+
+      if (batch.length > 0) {
+        await insertBatch(batch)
+      }
+
+      await client.query("COMMIT")
+      logger.info(`Inserted ${insertedCount} records into ${profile.table} using batch processing`, {
+        insertedCount,
+        table: profile.table,
+      })
+      return insertedCount
+    } catch (error) {
+      await client.query("ROLLBACK")
+      logger.error("Database insertion failed", { error })
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Insert one batch of records with a single multi-row INSERT
+   * @param {Object} client - Connected pg client inside a transaction
+   * @param {Array} batch - Nested records
+   * @param {Object} profile - Mapping profile
+   * @param {number} [importId] - Import the rows belong to
+   * @returns {number} Number of inserted records
+   */
+  async insertRecordBatch(client, batch, profile, importId = null) {
+    const columns = getMappedColumns(profile)
+    const tagImport = profile.importIdColumn !== null
+    const columnsPerRow = columns.length + (tagImport ? 1 : 0)
+    const values = []
+    const placeholders = []
 
-        // Prepare batch insert query
-        const values = []
-        const placeholders = []
+    for (let j = 0; j < batch.length; j++) {
+      const row = mapRecord(profile, batch[j])
 
-        for (let j = 0; j < batch.length; j++) {
-          const record = batch[j]
+      // Add to batch values
+      const baseIndex = j * columnsPerRow
+      placeholders.push(`(${Array.from({ length: columnsPerRow }, (_, k) => `$${baseIndex + k + 1}`).join(", ")})`)
 
-          // Extract mandatory fields
-          const firstName = record.name?.firstName || ""
-          const lastName = record.name?.lastName || ""
-          const fullName = `${firstName} ${lastName}`.trim()
-          const age = Number.parseInt(record.age) || 0
+      for (const column of columns) {
+        const value = row[column]
+        values.push(isJSONBColumn(profile, column) && value !== null ? JSON.stringify(value) : value)
+      }
+      if (tagImport) {
+        values.push(importId)
+      }
+    }
 
-          // Validate age
-          if (age < 0 || age > 150) {
-            console.warn(`Invalid age ${age} for user ${fullName}. Setting to 0.`)
-          }
+    const columnList = [...columns, ...(tagImport ? [profile.importIdColumn] : [])].map(quoteIdentifier)
+    const insertQuery = `
+      INSERT INTO ${profile.tableSQL} (${columnList.join(", ")})
+      VALUES ${placeholders.join(", ")}
+    `
+
+    await client.query(insertQuery, values)
+    return batch.length
+  }
+
+  /**
+   * Stream records into the profile's table with COPY ... FROM STDIN
+   * Avoids the bind parameter limit of multi-row INSERTs, so large imports
+   * need one statement instead of one per batch. The whole copy runs in a
+   * single transaction and is rolled back if parsing or the copy fails.
+   * @param {Array|AsyncIterable} records - Nested records
+   * @param {Object} [options] - Same options as insertRecordsToDatabase
+   * @returns {number} Number of copied records
+   */
+  async copyRecordsToDatabase(records, options = {}) {
+    const profile = options.profile || getMappingProfile()
+    const columns = getMappedColumns(profile)
+    const tagImport = profile.importIdColumn !== null
+    const columnList = [...columns, ...(tagImport ? [profile.importIdColumn] : [])].map(quoteIdentifier)
+    const client = await pool.connect()
+    let sentCount = 0
+    let nextProgressLog = 10000
+
+    // Rows are written in chunks of COPY_CHUNK_ROWS lines rather than one write per row
+    async function* copyLines() {
+      let chunk = ""
+      let chunkRows = 0
 
-          // Extract address (all address.* properties)
-          const address = record.address || null
-
-          // Extract additional info (everything except name, age, address)
-          const additionalInfo = { ...record }
-          delete additionalInfo.name
-          delete additionalInfo.age
-          delete additionalInfo.address
-
-          // Add to batch values
-          const baseIndex = j * 4
-          placeholders.push(`($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4})`)
-
-          values.push(
-            fullName,
-            age,
-            address ? JSON.stringify(address) : null,
-            Object.keys(additionalInfo).length > 0 ? JSON.stringify(additionalInfo) : null,
-          )
+      for await (const record of records) {
+        const row = mapRecord(profile, record)
+        const values = columns.map((column) => {
+          const value = row[column]
+          return isJSONBColumn(profile, column) && value !== null ? JSON.stringify(value) : value
+        })
+        if (tagImport) {
+          values.push(options.importId ?? null)
         }
 
-        // Execute batch insert
-        if (placeholders.length > 0) {
-          const insertQuery = `
-            INSERT INTO public.users (name, age, address, additional_info)
-            VALUES ${placeholders.join(", ")}
-          `
+        chunk += formatCopyRow(values)
+        chunkRows++
 
-          await client.query(insertQuery, values)
-          insertedCount += batch.length
+        if (chunkRows === COPY_CHUNK_ROWS) {
+          yield chunk
+          sentCount += chunkRows
+          chunk = ""
+          chunkRows = 0
 
-          // Progress logging for large batches
-          if (insertedCount % 10000 === 0) {
-            console.log(`Inserted ${insertedCount} records...`)
+          if (options.onBatchInserted) {
+            options.onBatchInserted(sentCount)
+          }
+          if (sentCount >= nextProgressLog) {
+            logger.info(`Copied ${sentCount} records...`, { copiedCount: sentCount })
+            nextProgressLog += 10000
           }
         }
       }
 
+      if (chunkRows > 0) {
+        yield chunk
+        sentCount += chunkRows
+      }
+    }
+
+    try {
+      await client.query("BEGIN")
+
+      const copyStream = client.query(copyFrom(`COPY ${profile.tableSQL} (${columnList.join(", ")}) FROM STDIN`))
+      await pipeline(Readable.from(copyLines()), copyStream)
+      const copiedCount = copyStream.rowCount ?? sentCount
+
       await client.query("COMMIT")
-      console.log(`✓ Successfully inserted ${insertedCount} records using batch processing`)
-      return insertedCount
+      if (options.onBatchInserted) {
+        options.onBatchInserted(copiedCount)
+      }
+      logger.info(`Copied ${copiedCount} records into ${profile.table} using COPY`, {
+        copiedCount,
+        table: profile.table,
+      })
+      return copiedCount
     } catch (error) {
       await client.query("ROLLBACK")
-      console.error("Database insertion failed:", error)
+      logger.error("Database copy failed", { error })
       throw error
     } finally {
       client.release()
     }
   }
 
+  /**
+   * Insert new users and reconcile existing ones matched by a natural key
+   * Records whose key matches an existing row are updated, skipped or reported
+   * depending on the strategy; rows with identical content count as unchanged.
+   * Records repeating a key within the same batch are reported as duplicates; a
+   * later batch finds the row an earlier one stored and reconciles with it.
+   * Natural keys are arbitrary record paths without a unique index, so ON CONFLICT
+   * cannot be used: upserts instead take a transaction-level advisory lock, which
+   * keeps concurrent jobs from both inserting the same key.
+   * Updated rows keep the import id of the import that created them.
+   * @param {Array|AsyncIterable} records - User objects
+   * @param {Object} upsert - { key: Array of record paths, onConflict: "update"|"skip"|"report" }
+   * @param {Object} [options] - Same callbacks as insertRecordsToDatabase
+   * @returns {Object} Counts ({ inserted, updated, unchanged, skipped, conflicts, duplicates }) and conflict details
+   */
+  async upsertUsersToDatabase(records, upsert, options = {}) {
+    const client = await pool.connect()
+    const counts = { inserted: 0, updated: 0, unchanged: 0, skipped: 0, conflicts: 0, duplicates: 0 }
+    const conflicts = []
+    const batchSize = 1000
+
+    const reportConflict = (conflict) => {
+      if (conflicts.length < MAX_REPORTED_CONFLICTS) {
+        conflicts.push(conflict)
+      }
+    }
+
+    const processBatch = async (batch) => {
+      const candidates = []
+      const seenKeys = new Set()
+
+      for (const record of batch) {
+        const row = recordToRow(record)
+        const key = getNaturalKey(row, upsert.key)
+
+        if (key === null) {
+          counts.conflicts++
+          reportConflict({ reason: "missing_key", key: null, record })
+        } else if (seenKeys.has(key)) {
+          counts.duplicates++
+          reportConflict({ reason: "duplicate_in_file", key: JSON.parse(key), record })
+        } else {
+          seenKeys.add(key)
+          candidates.push({ record, row, key })
+        }
+      }
+
+      const existingRows = await this.findUsersByNaturalKey(
+        client,
+        upsert.key,
+        candidates.map(({ key }) => JSON.parse(key)),
+      )
+
+      const toInsert = []
+      const toUpdate = []
+
+      for (const candidate of candidates) {
+        const matches = existingRows.get(candidate.key) || []
+
+        if (matches.length === 0) {
+          toInsert.push(candidate.record)
+        } else if (matches.length > 1) {
+          counts.conflicts++
+          reportConflict({
+            reason: "multiple_matches",
+            key: JSON.parse(candidate.key),
+            existingIds: matches.map((match) => match.id),
+          })
+        } else if (rowsEqual(matches[0], candidate.row)) {
+          counts.unchanged++
+        } else if (upsert.onConflict === "update") {
+          toUpdate.push({ id: matches[0].id, row: candidate.row })
+        } else if (upsert.onConflict === "skip") {
+          counts.skipped++
+        } else {
+          counts.conflicts++
+          reportConflict({ reason: "exists", key: JSON.parse(candidate.key), existingId: matches[0].id })
+        }
+      }
+
+      if (toInsert.length > 0) {
+        counts.inserted += await this.insertRecordBatch(client, toInsert, getMappingProfile(), options.importId)
+      }
+      if (toUpdate.length > 0) {
+        counts.updated += await this.updateUserBatch(client, toUpdate)
+      }
+
+      if (options.onBatchInserted) {
+        options.onBatchInserted(counts.inserted, counts)
+      }
+    }
+
+    try {
+      await client.query("BEGIN")
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [UPSERT_LOCK_NAME])
+
+      let batch = []
+      for await (const record of records) {
+        batch.push(record)
+
+        if (batch.length === batchSize) {
+          await processBatch(batch)
+          batch = []
+        }
+      }
+
+      if (batch.length > 0) {
+        await processBatch(batch)
+      }
+
+      await client.query("COMMIT")
+      logger.info(
+        `Upsert complete: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged, ` +
+          `${counts.skipped} skipped, ${counts.conflicts} conflicts, ${counts.duplicates} duplicates in file`,
+        { counts },
+      )
+      return { counts, conflicts }
+    } catch (error) {
+      await client.query("ROLLBACK")
+      logger.error("Database upsert failed", { error })
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Load existing users whose natural key matches one of the given keys
+   * @param {Object} client - Connected pg client
+   * @param {Array} keyPaths - Record paths making up the key
+   * @param {Array} keys - Key values, one array of strings per record
+   * @returns {Map} Matching rows grouped by serialized key
+   */
+  async findUsersByNaturalKey(client, keyPaths, keys) {
+    const matches = new Map()
+    if (keys.length === 0) return matches
+
+    const params = []
+    const addParam = (value) => {
+      params.push(value)
+      return `$${params.length}`
+    }
+
+    const expressions = keyPaths.map((path) => recordPathToSQL(path, addParam))
+    const columns = keyPaths.map((path, i) => addParam(keys.map((key) => key[i])) + "::text[]")
+
+    const result = await client.query(
+      `SELECT id, name, first_name, last_name, age, address, additional_info
+       FROM public.users
+       WHERE (${expressions.join(", ")}) IN (SELECT * FROM unnest(${columns.join(", ")}))`,
+      params,
+    )
+
+    for (const row of result.rows) {
+      const key = getNaturalKey(row, keyPaths)
+      if (!matches.has(key)) {
+        matches.set(key, [])
+      }
+      matches.get(key).push(row)
+    }
+
+    return matches
+  }
+
+  /**
+   * Overwrite existing users with a single multi-row UPDATE
+   * @param {Object} client - Connected pg client inside a transaction
+   * @param {Array} updates - { id, row } pairs
+   * @returns {number} Number of updated records
+   */
+  async updateUserBatch(client, updates) {
+    const values = []
+    const placeholders = []
+
+    updates.forEach(({ id, row }, j) => {
+      const baseIndex = j * 7
+      const param = (offset, type = "") => `$${baseIndex + offset}${type}`
+      placeholders.push(
+        `(${param(1, "::int")}, ${param(2)}, ${param(3)}, ${param(4)}, ${param(5, "::int")}, ` +
+          `${param(6, "::jsonb")}, ${param(7, "::jsonb")})`,
+      )
+      values.push(
+        id,
+        row.name,
+        row.first_name,
+        row.last_name,
+        row.age,
+        row.address ? JSON.stringify(row.address) : null,
+        row.additional_info ? JSON.stringify(row.additional_info) : null,
+      )
+    })
+
+    const updateQuery = `
+      UPDATE public.users AS u
+      SET name = v.name, first_name = v.first_name, last_name = v.last_name, age = v.age,
+          address = v.address, additional_info = v.additional_info
+      FROM (VALUES ${placeholders.join(", ")}) AS v(id, name, first_name, last_name, age, address, additional_info)
+      WHERE u.id = v.id
+    `
+
+    await client.query(updateQuery, values)
+    return updates.length
+  }
+
+  /**
+   * Get one page of users, optionally filtered and sorted
+   * Accepts the filters of buildUserFilters plus sort, limit and cursor.
+   * Pages are keyset-paginated: pass pagination.nextCursor back as cursor.
+   * The total is counted for the first page only, unless includeTotal asks for it.
+   * The older offset parameter still works but is deprecated.
+   */
   async getAllUsers(req, res) {
+    let filters
+    let page
+    try {
+      filters = buildUserFilters(req.query, { allowedParams: ["sort", "limit", "cursor", "offset", "includeTotal"] })
+
+      const sort = parseUserSort(req.query.sort)
+      if (req.query.cursor !== undefined && typeof req.query.cursor !== "string") {
+        throw new Error("Invalid cursor")
+      }
+      if (req.query.cursor && req.query.offset !== undefined) {
+        throw new Error("Use either cursor or offset, not both")
+      }
+
+      page = {
+        sort,
+        limit: parsePageLimit(req.query.limit),
+        offset: parsePageOffset(req.query.offset),
+        cursor: req.query.cursor ? decodeCursor(req.query.cursor, sort) : null,
+      }
+      page.includeTotal = parseBooleanOption(req.query.includeTotal, "includeTotal", page.cursor === null)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
     try {
-      const limit = req.query.limit ? Number.parseInt(req.query.limit) : 100
-      const offset = req.query.offset ? Number.parseInt(req.query.offset) : 0
+      // Fetch one extra row to know whether another page follows
+      const query = buildUserPageQuery(filters, { ...page, limit: page.limit + 1 })
+      const [result, countResult] = await Promise.all([
+        pool.query(query.text, query.values),
+        page.includeTotal
+          ? pool.query(`SELECT COUNT(*) AS total FROM public.users ${filters.where}`, filters.params)
+          : null,
+      ])
 
-      // Get total count
-      const countResult = await pool.query("SELECT COUNT(*) as total FROM public.users")
-      const totalUsers = Number.parseInt(countResult.rows[0].total)
+      const hasMore = result.rows.length > page.limit
+      const rows = result.rows.slice(0, page.limit)
+      const nextCursor = hasMore ? encodeCursor(page.sort, rows[rows.length - 1]) : null
 
-      // Get paginated results
-      const result = await pool.query("SELECT * FROM public.users ORDER BY id LIMIT $1 OFFSET $2", [limit, offset])
+      // Offset pages still work, but clients should move to cursors
+      if (req.query.offset !== undefined) res.set("Deprecation", "true")
 
       res.json({
         success: true,
-        users: result.rows,
+        users: rows.map(({ sort_value, ...user }) => user),
         pagination: {
-          total: totalUsers,
-          limit: limit,
-          offset: offset,
-          hasMore: offset + limit < totalUsers,
+          ...(countResult ? { total: Number.parseInt(countResult.rows[0].total) } : {}),
+          limit: page.limit,
+          ...(page.cursor ? {} : { offset: page.offset }),
+          sort: req.query.sort || "id",
+          hasMore,
+          nextCursor,
         },
       })
     } catch (error) {
-      console.error("Error fetching users:", error)
+      logger.error("Error fetching users", { error })
       res.status(500).json({ error: error.message })
     }
   }
 
+  /**
+   * Stream stored users as CSV, NDJSON or a JSON array
+   * Rows are read with a database cursor and written with backpressure, so the
+   * export never has to fit in memory. Accepts the filters of buildUserFilters.
+   */
+  async exportUsers(req, res) {
+    const format = req.query.format || "csv"
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ error: `Unsupported export format '${format}'. Supported formats: ${EXPORT_FORMATS.join(", ")}` })
+    }
+
+    let filters
+    try {
+      filters = buildUserFilters(req.query, { allowedParams: ["format"] })
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    let client = null
+    try {
+      client = await pool.connect()
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY")
+
+      const exportedCount =
+        format === "csv"
+          ? await this.writeCSVExport(client, res, filters)
+          : await this.writeJSONExport(client, res, filters, format)
+
+      await client.query("COMMIT")
+      res.end()
+      logger.info(`Exported ${exportedCount} users as ${format}`, { exportedCount, format })
+    } catch (error) {
+      if (client) await client.query("ROLLBACK").catch(() => {})
+      logger.error("Error exporting users", { error })
+
+      if (res.headersSent) {
+        res.destroy(error)
+      } else {
+        res.status(500).json({ error: error.message })
+      }
+    } finally {
+      client?.release()
+    }
+  }
+
+  /**
+   * Write users as CSV with dot-notation headers
+   * Reads the users twice inside the export snapshot: once to collect the union
+   * of nested paths for the header row, then again to write the rows
+   * @returns {number} Number of exported users
+   */
+  async writeCSVExport(client, res, filters) {
+    const columns = new CSVColumnCollector()
+    for await (const row of iterateUsers(client, filters)) {
+      columns.add(flattenRecord(rowToRecord(row)))
+    }
+    const paths = columns.getPaths()
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", 'attachment; filename="users.csv"')
+    await writeChunk(res, formatCSVRow(columns.getHeaders()))
+
+    let chunk = ""
+    let exportedCount = 0
+    for await (const row of iterateUsers(client, filters)) {
+      const flatRecord = flattenRecord(rowToRecord(row))
+      chunk += formatCSVRow(paths.map((path) => flatRecord.get(path)))
+      exportedCount++
+
+      if (chunk.length >= EXPORT_CHUNK_SIZE) {
+        await writeChunk(res, chunk)
+        chunk = ""
+      }
+    }
+
+    await writeChunk(res, chunk)
+    return exportedCount
+  }
+
+  /**
+   * Write users as nested records, either one JSON object per line or one JSON array
+   * @returns {number} Number of exported users
+   */
+  async writeJSONExport(client, res, filters, format) {
+    const ndjson = format === "ndjson"
+
+    res.setHeader("Content-Type", ndjson ? "application/x-ndjson" : "application/json")
+    res.setHeader("Content-Disposition", `attachment; filename="users.${ndjson ? "ndjson" : "json"}"`)
+
+    let chunk = ndjson ? "" : "["
+    let exportedCount = 0
+    for await (const row of iterateUsers(client, filters)) {
+      const json = JSON.stringify(rowToRecord(row))
+      chunk += ndjson ? `${json}\n` : `${exportedCount > 0 ? "," : ""}\n${json}`
+      exportedCount++
+
+      if (chunk.length >= EXPORT_CHUNK_SIZE) {
+        await writeChunk(res, chunk)
+        chunk = ""
+      }
+    }
+
+    await writeChunk(res, ndjson ? chunk : `${chunk}\n]\n`)
+    return exportedCount
+  }
+
+  /**
+   * Get the age distribution, optionally with custom bands (buckets=18,30,50)
+   * and the filters of buildUserFilters (importId, createdFrom, createdTo, ...)
+   */
   async getAgeDistribution(req, res) {
+    let options
     try {
-      const distribution = await calculateAgeDistribution()
+      options = {
+        buckets: req.query.buckets !== undefined ? parseBucketBoundaries(req.query.buckets) : undefined,
+        filters: buildUserFilters(req.query, { allowedParams: ["buckets"] }),
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const distribution = await calculateAgeDistribution(options)
       res.json({
         success: true,
         ageDistribution: distribution,
       })
     } catch (error) {
-      console.error("Error calculating age distribution:", error)
+      logger.error("Error calculating age distribution", { error })
       res.status(500).json({ error: error.message })
     }
   }
 
+  /**
+   * Get the distribution of users over any field: age or a record path such as
+   * address.state. Accepts buckets, percentiles, limit and the filters of buildUserFilters.
+   */
+  async getDistribution(req, res) {
+    let options
+    try {
+      const { field } = req.query
+      if (typeof field !== "string" || field === "") {
+        throw new Error("Missing field: pass age or a record path such as address.state")
+      }
+      recordPathToSQL(field, () => "$1") // Rejects malformed and unsupported paths
+      if (!isNumericField(field) && req.query.buckets !== undefined) {
+        throw new Error(`Field '${field}' is not numeric and cannot be bucketed`)
+      }
+
+      const limit = req.query.limit !== undefined ? parseInteger(req.query.limit, "limit") : DEFAULT_GROUP_LIMIT
+      if (limit < 1 || limit > MAX_GROUP_LIMIT) {
+        throw new Error(`Invalid limit: expected a value between 1 and ${MAX_GROUP_LIMIT}, got ${limit}`)
+      }
+
+      options = {
+        field,
+        limit,
+        buckets: req.query.buckets !== undefined ? parseBucketBoundaries(req.query.buckets) : null,
+        percentiles: parsePercentiles(req.query.percentiles),
+        filters: buildUserFilters(req.query, { allowedParams: ["field", "buckets", "percentiles", "limit"] }),
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const distribution = await calculateDistribution(options)
+      res.json({
+        success: true,
+        distribution,
+      })
+    } catch (error) {
+      logger.error("Error calculating distribution", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Log the age distribution after an import
+   * @returns {Object|null} The distribution, or null when it could not be calculated
+   */
   async generateAgeDistributionReport() {
     try {
       const distribution = await calculateAgeDistribution()
-      printAgeDistributionReport(distribution)
+      logger.info(`Age distribution: ${formatAgeDistribution(distribution)}`, { ageDistribution: distribution })
+      return distribution
     } catch (error) {
-      console.error("Error generating age distribution report:", error)
+      logger.error("Error generating age distribution report", { error })
+      return null
+    }
+  }
+}
+
+/**
+ * Data sent with import.completed and import.failed webhooks
+ * @param {Object} job - Finished import job
+ * @param {Object} profile - Mapping profile of the upload
+ * @param {Object} outcome - { result } or { error }
+ * @param {Object|null} ageDistribution - Report logged after the import, null for other profiles
+ * @returns {Object} Event data
+ */
+function buildImportEventData(job, profile, outcome, ageDistribution) {
+  const files = outcome.result?.files || (outcome.result ? [outcome.result] : [])
+  const importIds = (outcome.result ? files.map((file) => file.importId) : [job.importId]).filter(Boolean)
+  const finishedAt = new Date()
+
+  return {
+    jobId: job.id,
+    status: outcome.error ? "failed" : "completed",
+    fileName: job.fileName,
+    fileSize: job.fileSize,
+    mappingProfile: profile.name,
+    importIds,
+    counts: {
+      parsed: job.rowsParsed,
+      inserted: job.rowsInserted,
+      updated: job.rowsUpdated,
+      skipped: job.rowsSkipped,
+      quarantined: files.reduce((sum, file) => sum + (file.quarantinedRows || 0), 0),
+    },
+    timings: {
+      queuedAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - new Date(job.startedAt),
+    },
+    ageDistribution,
+    ...(outcome.error ? { error: outcome.error.message } : {}),
+  }
+}
+
+/**
+ * Answer 400 for gzip and zip files on endpoints that only read plain CSV
+ * If the upload cannot be read, answers 500 instead
+ * @param {Object} req - Express request with an uploaded file
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the upload was rejected (and removed)
+ */
+async function rejectArchiveUpload(req, res) {
+  let format
+  try {
+    format = await detectUploadFormat(req.file.path)
+  } catch (error) {
+    logger.error("Error reading uploaded file", { error, fileName: req.file.originalname })
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path)
+    }
+    res.status(500).json({ error: error.message })
+    return true
+  }
+  if (format === "csv") return false
+
+  fs.unlinkSync(req.file.path)
+  res.status(400).json({ error: `Compressed (${format}) files are only accepted by POST /api/upload-csv` })
+  return true
+}
+
+/**
+ * Read import options from the multipart form fields sent with an upload
+ * @param {Object} body - Parsed form fields
+ * @returns {Object} { dialect, schema, profile, validator, method, upsert }
+ * @throws {Error} If an option is invalid
+ */
+function parseUploadOptions(body = {}) {
+  const options = {
+    dialect: normalizeDialectOptions(body),
+    schema: null,
+    profile: getMappingProfile(body.profile || DEFAULT_MAPPING_PROFILE),
+    validator: null,
+    method: body.method || "insert",
+  }
+
+  if (!INSERT_METHODS.includes(options.method)) {
+    throw new Error(`Invalid method '${options.method}'. Use one of: ${INSERT_METHODS.join(", ")}`)
+  }
+
+  if (body.schema) {
+    let document
+    try {
+      document = typeof body.schema === "string" ? JSON.parse(body.schema) : body.schema
+    } catch (error) {
+      throw new Error(`Schema is not valid JSON: ${error.message}`)
+    }
+    options.schema = parseSchemaDocument(document)
+  }
+
+  // Rules sent with the upload add to the profile's rules, replacing those of the same name
+  let uploadRules = []
+  if (body.rules) {
+    let definitions
+    try {
+      definitions = typeof body.rules === "string" ? JSON.parse(body.rules) : body.rules
+    } catch (error) {
+      throw new Error(`Rules are not valid JSON: ${error.message}`)
+    }
+    // Uploads come from any key holder, so they may not run their own regular expressions
+    uploadRules = parseValidationRules(definitions, { allowPatterns: false })
+  }
+  const rules = mergeValidationRules(options.profile.rules, uploadRules)
+  if (rules.length > 0) {
+    options.validator = new RecordValidator(rules)
+  }
+
+  const mode = body.mode || "insert"
+  if (mode === "upsert") {
+    if (options.profile.name !== DEFAULT_MAPPING_PROFILE) {
+      throw new Error(`Upsert mode is only supported for the ${DEFAULT_MAPPING_PROFILE} mapping profile`)
+    }
+    if (options.method === "copy") {
+      throw new Error("Upsert mode cannot be combined with method=copy")
+    }
+
+    const key = String(body.key || "")
+      .split(",")
+      .map((path) => path.trim())
+      .filter(Boolean)
+    if (key.length === 0) {
+      throw new Error("Upsert mode requires a natural key, e.g. key=contact.email.primary")
+    }
+    key.forEach((path) => recordPathToSQL(path, () => "$1")) // Throws on unsupported paths
+
+    const onConflict = body.onConflict || "update"
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+      throw new Error(`Invalid onConflict '${onConflict}'. Use one of: ${CONFLICT_STRATEGIES.join(", ")}`)
+    }
+
+    options.upsert = { key, onConflict }
+  } else if (mode !== "insert") {
+    throw new Error(`Invalid mode '${mode}'. Use insert or upsert.`)
+  }
+
+  return options
+}
+
+/**
+ * Read the options of POST /api/convert
+ * Besides the dialect, schema and rules fields of an upload, accepts format
+ * (json or ndjson), structure (nested or flat), inferTypes (default true) and
+ * checkMandatory (default false), which requires the mapping profile's fields
+ * @param {Object} params - Query parameters and form fields
+ * @returns {Object} { dialect, schema, validator, mandatoryFields, format, flat, inferTypes }
+ * @throws {Error} If an option is invalid
+ */
+function parseConvertOptions(params) {
+  const { dialect, schema, profile, validator } = parseUploadOptions(params)
+  const format = params.format || "json"
+  const structure = params.structure || "nested"
+
+  if (!CONVERT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format '${format}'. Use one of: ${CONVERT_FORMATS.join(", ")}`)
+  }
+  if (!CONVERT_STRUCTURES.includes(structure)) {
+    throw new Error(`Invalid structure '${structure}'. Use one of: ${CONVERT_STRUCTURES.join(", ")}`)
+  }
+
+  return {
+    dialect,
+    schema,
+    validator,
+    mandatoryFields: parseBooleanOption(params.checkMandatory, "checkMandatory", false) ? profile.required : [],
+    format,
+    flat: structure === "flat",
+    inferTypes: parseBooleanOption(params.inferTypes, "inferTypes", true),
+  }
+}
+
+/**
+ * @param {string} [value] - Query parameter or form field
+ * @param {string} name - Option name for the error message
+ * @param {boolean} defaultValue - Value when the option is not set
+ * @returns {boolean}
+ * @throws {Error} If the value is not true or false
+ */
+function parseBooleanOption(value, name, defaultValue) {
+  if (value === undefined || value === "") return defaultValue
+  if (value === "true" || value === true) return true
+  if (value === "false" || value === false) return false
+  throw new Error(`Invalid ${name} '${value}'. Use true or false`)
+}
+
+/**
+ * Stream a raw request body, failing once it exceeds the upload size limit or
+ * the API key's remaining daily bytes (req.uploadBytesRemaining, set by
+ * enforceUploadQuota). The bytes read are left in req.receivedBytes for the usage log.
+ * @param {Readable} req - Request
+ * @param {number} maxFileSizeMB - Upload size limit
+ * @returns {AsyncGenerator<Buffer>} Body chunks
+ */
+async function* limitBodySize(req, maxFileSizeMB) {
+  req.receivedBytes = 0
+  for await (const chunk of req) {
+    req.receivedBytes += chunk.length
+    if (req.receivedBytes > maxFileSizeMB * 1024 * 1024) {
+      throw new Error(`File too large. Maximum size is ${maxFileSizeMB}MB.`)
+    }
+    if (req.uploadBytesRemaining !== undefined && req.receivedBytes > req.uploadBytesRemaining) {
+      throw new Error(
+        `Daily upload quota exceeded after ${req.uploadBytesRemaining} bytes. The quota resets at midnight`,
+      )
+    }
+    yield chunk
+  }
+}
+
+/**
+ * Keep the upload fields a retry of quarantined rows needs to convert them again
+ * @param {Object} body - Parsed form fields
+ * @returns {Object} Fields from RETRY_FORM_FIELDS that were sent
+ */
+function pickRetryFormFields(body = {}) {
+  const fields = RETRY_FORM_FIELDS.filter((field) => body[field] !== undefined)
+  return Object.fromEntries(fields.map((field) => [field, body[field]]))
+}
+
+/**
+ * Count physical lines the way CSVLineSplitter numbers them
+ * @param {string} text - Raw CSV line, possibly spanning several physical lines
+ * @param {Object} dialect - Dialect the row was parsed with
+ * @returns {number} Number of physical lines
+ */
+function countLines(text, dialect) {
+  const splitter = new CSVLineSplitter(dialect)
+  splitter.push(text + "\n")
+  return splitter.lineNumber - 1
+}
+
+/**
+ * Check that a quarantined row still splits into exactly one CSV line
+ * @param {string} raw - Raw row, possibly corrected
+ * @param {Object} dialect - Dialect the row was parsed with
+ * @returns {string|null} Why the row cannot be retried, or null
+ */
+function findRawRowProblem(raw, dialect) {
+  const splitter = new CSVLineSplitter(dialect)
+  let lines
+  try {
+    lines = [...splitter.push(raw + "\n"), ...splitter.flush()]
+  } catch (error) {
+    return error.message
+  }
+
+  if (splitter.insideQuotes) return "The row has an unclosed quote; correct it before retrying"
+  if (lines.length !== 1) {
+    return `The row holds ${lines.length} CSV lines; correct it to a single row before retrying`
+  }
+  return null
+}
+
+/**
+ * Rows per INSERT, kept under PostgreSQL's limit of 65535 bind parameters
+ * @param {Object} profile - Mapping profile
+ * @returns {number} Batch size
+ */
+function getInsertBatchSize(profile) {
+  const columnsPerRow = getMappedColumns(profile).length + (profile.importIdColumn !== null ? 1 : 0)
+  return Math.min(1000, Math.floor(65535 / columnsPerRow))
+}
+
+/**
+ * Serialize the natural key of a user row
+ * Values are compared as text, the way PostgreSQL's #>> operator returns them
+ * @param {Object} row - Row with name, first_name, last_name, age, address, additional_info
+ * @param {Array} keyPaths - Record paths making up the key
+ * @returns {string|null} JSON array of key values, or null if any part is missing
+ */
+function getNaturalKey(row, keyPaths) {
+  const record = rowToRecord(row)
+  const values = keyPaths.map((path) => {
+    const value = getRecordValue(record, path)
+    if (value === undefined || value === null || value === "") return null
+    return typeof value === "object" ? JSON.stringify(value) : String(value)
+  })
+
+  return values.includes(null) ? null : JSON.stringify(values)
+}
+
+/**
+ * Wrap an async iterable and accumulate the time spent waiting on it
+ * Used to separate parsing time from insertion time when both are interleaved
+ * @param {AsyncIterable} iterable - Source iterable
+ * @param {Object} timing - Object whose `parsing` field receives elapsed milliseconds
+ * @param {Function} [onValue] - Called for every value passed through
+ * @returns {AsyncGenerator} Same values as the source
+ */
+async function* measureIteration(iterable, timing, onValue) {
+  const iterator = iterable[Symbol.asyncIterator]()
+  let finished = false
+
+  try {
+    while (true) {
+      const startTime = Date.now()
+      const { value, done } = await iterator.next()
+      timing.parsing += Date.now() - startTime
+
+      if (done) {
+        finished = true
+        return
+      }
+
+      if (onValue) onValue(value)
+      yield value
+    }
+  } finally {
+    // Release the underlying file stream if the consumer stopped early
+    if (!finished && iterator.return) {
+      await iterator.return()
     }
   }
 }
@@ -0,0 +1,40 @@
+// src/controllers/healthController.js
+
+const { serverState, checkReadiness } = require("../utils/health")
+const logger = require("../utils/logger")
+
+class HealthController {
+  /**
+   * Liveness: the process is up and its event loop responds
+   * Stays 200 while shutting down, so the process is not killed mid-drain
+   */
+  async healthz(req, res) {
+    res.json({
+      status: "ok",
+      state: serverState.status,
+      uptimeSeconds: Math.round(process.uptime()),
+    })
+  }
+
+  /**
+   * Readiness: the database is reachable, the upload directory is writable,
+   * no migrations are pending and the server is not shutting down
+   * The upload directory comes from app.locals.uploadDir
+   */
+  async readyz(req, res) {
+    try {
+      const { ready, checks } = await checkReadiness({ uploadDir: req.app.locals.uploadDir })
+
+      res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "not_ready",
+        state: serverState.status,
+        checks,
+      })
+    } catch (error) {
+      logger.error("Error checking readiness", { error })
+      res.status(503).json({ status: "not_ready", error: error.message })
+    }
+  }
+}
+
+module.exports = new HealthController()
@@ -0,0 +1,128 @@
+// src/controllers/importController.js
+
+const importHistory = require("../utils/importHistory")
+const logger = require("../utils/logger")
+const { DEFAULT_MAPPING_PROFILE, listMappingProfiles } = require("../config/mappingProfiles")
+
+const IMPORT_STATUSES = ["processing", "completed", "failed", "rolled_back"]
+
+class ImportController {
+  async listImports(req, res) {
+    try {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50
+      const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0
+      const status = req.query.status
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: "Invalid limit: expected an integer between 1 and 1000" })
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: "Invalid offset: expected a non-negative integer" })
+      }
+      if (status !== undefined && !IMPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Use one of: ${IMPORT_STATUSES.join(", ")}` })
+      }
+
+      const { imports, total } = await importHistory.listImports({ limit, offset, status })
+
+      res.json({
+        success: true,
+        imports,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total,
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching imports", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async getImport(req, res) {
+    try {
+      const importId = parseImportId(req.params.id)
+      if (importId === null) {
+        return res.status(400).json({ error: "Invalid import id" })
+      }
+
+      const importRecord = await importHistory.getImport(importId)
+      if (!importRecord) {
+        return res.status(404).json({ error: `Import ${importId} not found` })
+      }
+
+      res.json({
+        success: true,
+        import: importRecord,
+      })
+    } catch (error) {
+      logger.error("Error fetching import", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Roll back an import by deleting every user row it created
+   */
+  async rollbackImport(req, res) {
+    try {
+      const importId = parseImportId(req.params.id)
+      if (importId === null) {
+        return res.status(400).json({ error: "Invalid import id" })
+      }
+
+      const rollback = await importHistory.rollbackImport(importId)
+
+      if (!rollback) {
+        return res.status(404).json({ error: `Import ${importId} not found` })
+      }
+      if (!rollback.rolledBack) {
+        const stateReason = rollback.status === "rolled_back" ? "has already been rolled back" : "is still processing"
+        const reason = rollback.reason || stateReason
+        return res.status(409).json({ error: `Import ${importId} ${reason}` })
+      }
+
+      res.json({
+        success: true,
+        message: `Rolled back import ${importId}`,
+        importId,
+        deletedRows: rollback.deletedCount,
+        reopenedQuarantinedRows: rollback.reopenedCount,
+      })
+    } catch (error) {
+      logger.error("Error rolling back import", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  listMappingProfiles(req, res) {
+    res.json({
+      success: true,
+      defaultProfile: DEFAULT_MAPPING_PROFILE,
+      profiles: listMappingProfiles().map((profile) => ({
+        name: profile.name,
+        description: profile.description,
+        table: profile.table,
+        required: profile.required,
+        columns: profile.columns,
+        leftover: profile.leftover,
+        importIdColumn: profile.importIdColumn,
+        supportsRollback: profile.importIdColumn !== null,
+        rules: profile.rules.map((rule) => rule.definition),
+      })),
+    })
+  }
+}
+
+/**
+ * @param {string} value - Route parameter
+ * @returns {number|null} Positive integer id, or null if invalid
+ */
+function parseImportId(value) {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+module.exports = new ImportController()
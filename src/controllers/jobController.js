@@ -0,0 +1,60 @@
+// src/controllers/jobController.js
+
+const importJobs = require("../utils/importJobs")
+
+class JobController {
+  async getJob(req, res) {
+    const job = importJobs.getJob(req.params.id)
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` })
+    }
+
+    res.json({
+      success: true,
+      job: importJobs.toJSON(job),
+    })
+  }
+
+  /**
+   * Stream job progress as Server-Sent Events
+   * Sends the current snapshot immediately, then one "progress" event per update
+   * and a final "done" or "failed" event before closing the stream
+   */
+  async streamJobEvents(req, res) {
+    const job = importJobs.getJob(req.params.id)
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` })
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    })
+
+    const sendEvent = (snapshot) => {
+      const event = importJobs.isFinished(snapshot) ? snapshot.state : "progress"
+      res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`)
+
+      if (event !== "progress") {
+        importJobs.off("update", onUpdate)
+        res.end()
+      }
+    }
+
+    const onUpdate = (snapshot) => {
+      if (snapshot.id === job.id) {
+        sendEvent(snapshot)
+      }
+    }
+
+    importJobs.on("update", onUpdate)
+    req.on("close", () => importJobs.off("update", onUpdate))
+
+    sendEvent(importJobs.toJSON(job))
+  }
+}
+
+module.exports = new JobController()
@@ -0,0 +1,290 @@
+// src/controllers/quarantineController.js
+
+const quarantine = require("../utils/quarantine")
+const importJobs = require("../utils/importJobs")
+const logger = require("../utils/logger")
+const { reserveUploadQuota } = require("../middleware/apiKeyAuth")
+const csvController = require("./csvController")
+
+const MAX_RETRY_ROWS = 1000
+
+class QuarantineController {
+  async listQuarantinedRows(req, res) {
+    try {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50
+      const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0
+      const importId = req.query.importId !== undefined ? parseId(req.query.importId) : undefined
+      const status = req.query.status
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: "Invalid limit: expected an integer between 1 and 1000" })
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: "Invalid offset: expected a non-negative integer" })
+      }
+      if (status !== undefined && !quarantine.QUARANTINE_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ error: `Invalid status. Use one of: ${quarantine.QUARANTINE_STATUSES.join(", ")}` })
+      }
+      if (importId === null) {
+        return res.status(400).json({ error: "Invalid importId" })
+      }
+
+      const { rows, total } = await quarantine.listQuarantinedRows({
+        limit,
+        offset,
+        status,
+        importId,
+        fileName: req.query.fileName,
+        search: req.query.search,
+      })
+
+      res.json({
+        success: true,
+        rows,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total,
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching quarantined rows", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async getQuarantinedRow(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid quarantined row id" })
+      }
+
+      const row = await quarantine.getQuarantinedRow(id)
+      if (!row) {
+        return res.status(404).json({ error: `Quarantined row ${id} not found` })
+      }
+
+      res.json({
+        success: true,
+        row,
+      })
+    } catch (error) {
+      logger.error("Error fetching quarantined row", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Fix a quarantined row before retrying it
+   * Accepts raw (the corrected line), values (new values by column name, or
+   * all values in column order) and status (pending or discarded)
+   */
+  async updateQuarantinedRow(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid quarantined row id" })
+      }
+
+      const { raw, values, status } = req.body || {}
+      if (raw === undefined && values === undefined && status === undefined) {
+        return res.status(400).json({ error: "Send raw, values or status" })
+      }
+      if (raw !== undefined && values !== undefined) {
+        return res.status(400).json({ error: "raw and values cannot be combined" })
+      }
+      if (raw !== undefined && (typeof raw !== "string" || raw.trim() === "")) {
+        return res.status(400).json({ error: "raw must be a non-empty string" })
+      }
+      if (values !== undefined && (values === null || typeof values !== "object")) {
+        return res.status(400).json({ error: "values must be an object keyed by column or an array" })
+      }
+      if (status !== undefined && status !== "pending" && status !== "discarded") {
+        return res.status(400).json({ error: "Invalid status. Use pending or discarded" })
+      }
+
+      const row = await quarantine.getQuarantinedRow(id)
+      if (!row) {
+        return res.status(404).json({ error: `Quarantined row ${id} not found` })
+      }
+      if (row.status === "resolved") {
+        return res.status(409).json({ error: `Quarantined row ${id} has already been imported` })
+      }
+      if (row.status === "retrying") {
+        return res.status(409).json({ error: `Quarantined row ${id} is being retried` })
+      }
+
+      let fixedRaw = raw
+      if (values !== undefined) {
+        try {
+          fixedRaw = quarantine.rebuildRawRow(row, values)
+        } catch (error) {
+          return res.status(400).json({ error: error.message })
+        }
+      }
+
+      const updated = await quarantine.updateQuarantinedRow(id, { raw: fixedRaw, status })
+      if (!updated) {
+        return res.status(409).json({ error: `Quarantined row ${id} was retried while being updated` })
+      }
+
+      res.json({
+        success: true,
+        row: updated,
+      })
+    } catch (error) {
+      logger.error("Error updating quarantined row", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Retry one pending row as a background import job
+   */
+  async retryQuarantinedRow(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid quarantined row id" })
+      }
+      if (!importJobs.accepting) {
+        return res.status(503).json({ error: "The server is shutting down; retry shortly" })
+      }
+
+      const [row] = await quarantine.claimPendingRows({ ids: [id], limit: 1 })
+      if (!row) {
+        const current = await quarantine.getQuarantinedRow(id)
+        if (!current) {
+          return res.status(404).json({ error: `Quarantined row ${id} not found` })
+        }
+        const error = `Quarantined row ${id} is ${current.status}; only pending rows can be retried`
+        return res.status(409).json({ error })
+      }
+
+      await startRetryJob(req, res, [row])
+    } catch (error) {
+      logger.error("Error retrying quarantined row", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Retry pending rows selected by ids or by the import they came from
+   * At most MAX_RETRY_ROWS rows are retried per request, as one background import job
+   */
+  async retryQuarantinedRows(req, res) {
+    try {
+      const { ids, importId } = req.body || {}
+      if ((ids === undefined) === (importId === undefined)) {
+        return res.status(400).json({ error: "Send either ids or importId" })
+      }
+
+      let selection
+      if (ids !== undefined) {
+        const parsedIds = Array.isArray(ids) ? ids.map(parseId) : []
+        if (parsedIds.length === 0 || parsedIds.length > MAX_RETRY_ROWS || parsedIds.includes(null)) {
+          return res.status(400).json({ error: `ids must be an array of 1 to ${MAX_RETRY_ROWS} row ids` })
+        }
+        selection = { ids: parsedIds }
+      } else {
+        if (parseId(importId) === null) {
+          return res.status(400).json({ error: "Invalid importId" })
+        }
+        selection = { importId: parseId(importId) }
+      }
+      if (!importJobs.accepting) {
+        return res.status(503).json({ error: "The server is shutting down; retry shortly" })
+      }
+
+      const rows = await quarantine.claimPendingRows({ ...selection, limit: MAX_RETRY_ROWS })
+
+      await startRetryJob(req, res, rows)
+    } catch (error) {
+      logger.error("Error retrying quarantined rows", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+}
+
+/**
+ * Queue claimed rows as a retry job, within the key's daily upload quota
+ * The raw rows count as the upload's bytes and rows; rows that are not retried
+ * (quota exceeded, job cancelled at shutdown) go back to pending
+ * @param {Object} req - Request
+ * @param {Object} res - Response, answered with 202 and the job id
+ * @param {Array} rows - Rows claimed with quarantine.claimPendingRows
+ */
+async function startRetryJob(req, res, rows) {
+  const ids = rows.map((row) => row.id)
+  const bytes = rows.reduce((total, row) => total + Buffer.byteLength(row.raw) + 1, 0)
+
+  let quota = { exceeded: null }
+  try {
+    if (req.apiKey) quota = await reserveUploadQuota(req, { bytes, rows: rows.length })
+  } catch (error) {
+    await quarantine.releaseRows(ids)
+    throw error
+  }
+
+  if (quota.exceeded) {
+    await quarantine.releaseRows(ids)
+    return res
+      .status(429)
+      .json({ error: `Daily upload quota exceeded: ${quota.exceeded}. The quota resets at midnight` })
+  }
+
+  const details = getRetryDetails(req)
+  const job = importJobs.createJob({ fileName: "quarantine retry", fileSize: bytes, requestId: req.id })
+  importJobs.enqueue(
+    job,
+    async (job) => {
+      const outcome = await csvController.retryQuarantinedRows(rows, details, job)
+      return {
+        message: `Imported ${outcome.resolved.length} of ${rows.length} pending rows`,
+        retried: rows.length,
+        resolved: outcome.resolved,
+        failed: outcome.failed,
+      }
+    },
+    () => {
+      quarantine
+        .releaseRows(ids)
+        .catch((error) => logger.error("Failed to release quarantined rows of a cancelled retry", { error }))
+    },
+  )
+  // Counted against the byte quota by the usage log, like an uploaded file
+  req.receivedBytes = bytes
+
+  res.status(202).json({
+    success: true,
+    message: `Retry of ${rows.length} quarantined rows accepted for processing`,
+    jobId: job.id,
+    state: job.state,
+    links: {
+      status: `/api/jobs/${job.id}`,
+      events: `/api/jobs/${job.id}/events`,
+    },
+  })
+}
+
+function getRetryDetails(req) {
+  return {
+    uploadedBy: req.body?.uploadedBy || req.get("X-Uploaded-By") || req.apiKey?.name || null,
+    apiKeyId: req.apiKey?.id ?? null,
+  }
+}
+
+/**
+ * @param {*} value - Route parameter or body field
+ * @returns {number|null} Positive integer id, or null if invalid
+ */
+function parseId(value) {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+module.exports = new QuarantineController()
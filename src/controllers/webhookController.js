@@ -0,0 +1,195 @@
+// src/controllers/webhookController.js
+
+const webhooks = require("../utils/webhooks")
+const logger = require("../utils/logger")
+
+class WebhookController {
+  /**
+   * Register a webhook; the response is the only place its secret is shown
+   */
+  async createWebhook(req, res) {
+    let options
+    try {
+      options = webhooks.normalizeWebhookOptions(req.body || {})
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    try {
+      const webhook = await webhooks.createWebhook(options, req.apiKey?.id ?? null)
+
+      res.status(201).json({
+        success: true,
+        message: "Store the secret now to verify deliveries; it cannot be shown again",
+        webhook,
+      })
+    } catch (error) {
+      logger.error("Error creating webhook", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async listWebhooks(req, res) {
+    try {
+      res.json({
+        success: true,
+        webhooks: await webhooks.listWebhooks(),
+      })
+    } catch (error) {
+      logger.error("Error fetching webhooks", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async getWebhook(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid webhook id" })
+      }
+
+      const webhook = await webhooks.getWebhook(id)
+      if (!webhook) {
+        return res.status(404).json({ error: `Webhook ${id} not found` })
+      }
+
+      res.json({
+        success: true,
+        webhook,
+      })
+    } catch (error) {
+      logger.error("Error fetching webhook", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid webhook id" })
+      }
+
+      if (!(await webhooks.deleteWebhook(id))) {
+        return res.status(404).json({ error: `Webhook ${id} not found` })
+      }
+
+      res.json({
+        success: true,
+        message: `Deleted webhook ${id}`,
+      })
+    } catch (error) {
+      logger.error("Error deleting webhook", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * List a webhook's delivery log, newest first (limit, offset, status)
+   */
+  async listDeliveries(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50
+      const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0
+      const status = req.query.status
+
+      if (id === null) {
+        return res.status(400).json({ error: "Invalid webhook id" })
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: "Invalid limit: expected an integer between 1 and 1000" })
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: "Invalid offset: expected a non-negative integer" })
+      }
+      if (status !== undefined && !webhooks.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Use one of: ${webhooks.DELIVERY_STATUSES.join(", ")}` })
+      }
+
+      if (!(await webhooks.getWebhook(id))) {
+        return res.status(404).json({ error: `Webhook ${id} not found` })
+      }
+
+      const { deliveries, total } = await webhooks.listDeliveries(id, { limit, offset, status })
+
+      res.json({
+        success: true,
+        deliveries,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total,
+        },
+      })
+    } catch (error) {
+      logger.error("Error fetching webhook deliveries", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  async getDelivery(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      const deliveryId = parseId(req.params.deliveryId)
+      if (id === null || deliveryId === null) {
+        return res.status(400).json({ error: "Invalid webhook or delivery id" })
+      }
+
+      const delivery = await webhooks.getDelivery(id, deliveryId)
+      if (!delivery) {
+        return res.status(404).json({ error: `Delivery ${deliveryId} of webhook ${id} not found` })
+      }
+
+      res.json({
+        success: true,
+        delivery,
+      })
+    } catch (error) {
+      logger.error("Error fetching webhook delivery", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Send a finished delivery again; the new attempt is logged as a new delivery
+   */
+  async redeliver(req, res) {
+    try {
+      const id = parseId(req.params.id)
+      const deliveryId = parseId(req.params.deliveryId)
+      if (id === null || deliveryId === null) {
+        return res.status(400).json({ error: "Invalid webhook or delivery id" })
+      }
+
+      const delivery = await webhooks.getDelivery(id, deliveryId)
+      if (!delivery) {
+        return res.status(404).json({ error: `Delivery ${deliveryId} of webhook ${id} not found` })
+      }
+      if (delivery.status === "pending") {
+        return res.status(409).json({ error: `Delivery ${deliveryId} is still being retried` })
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `Redelivering delivery ${deliveryId}`,
+        delivery: await webhooks.webhookDispatcher.redeliver(delivery),
+      })
+    } catch (error) {
+      logger.error("Error redelivering webhook delivery", { error })
+      res.status(500).json({ error: error.message })
+    }
+  }
+}
+
+/**
+ * @param {string} value - Route parameter
+ * @returns {number|null} Positive integer id, or null if invalid
+ */
+function parseId(value) {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+module.exports = new WebhookController()
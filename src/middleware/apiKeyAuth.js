@@ -0,0 +1,190 @@
+// src/middleware/apiKeyAuth.js
+
+const apiKeys = require("../utils/apiKeys")
+const RateLimiter = require("../utils/rateLimiter")
+const logger = require("../utils/logger")
+
+// Set API_KEYS_ENABLED=false to serve the API without keys, e.g. in local development
+const API_KEYS_ENABLED = process.env.API_KEYS_ENABLED !== "false"
+
+const rateLimiter = new RateLimiter()
+// Bytes of each key's uploads in progress, by key id
+const reservedUploadBytes = new Map()
+
+/**
+ * Authenticate the request's API key, apply its rate limit and log its usage
+ * The key is read from "Authorization: Bearer <key>" or the X-API-Key header
+ * and attached to the request as req.apiKey
+ */
+async function authenticate(req, res, next) {
+  if (!API_KEYS_ENABLED) return next()
+
+  const key = readApiKey(req)
+  if (!key) {
+    return res
+      .status(401)
+      .json({ error: "API key required. Send it as 'Authorization: Bearer <key>' or in the X-API-Key header" })
+  }
+
+  let apiKey
+  try {
+    apiKey = await apiKeys.findApiKey(key)
+  } catch (error) {
+    logger.error("Error authenticating API key", { error })
+    return res.status(500).json({ error: error.message })
+  }
+
+  if (!apiKey) {
+    return res.status(401).json({ error: "Invalid API key" })
+  }
+  if (apiKey.revoked_at) {
+    return res.status(401).json({ error: "API key has been revoked" })
+  }
+
+  req.apiKey = apiKey
+  logUsageOnFinish(req, res)
+
+  const limit = rateLimiter.hit(apiKey.id, apiKey.rate_limit_per_minute)
+  res.set({
+    "X-RateLimit-Limit": String(limit.limit),
+    "X-RateLimit-Remaining": String(limit.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(limit.resetAt / 1000)),
+  })
+  if (!limit.allowed) {
+    res.set("Retry-After", String(Math.ceil((limit.resetAt - Date.now()) / 1000)))
+    return res.status(429).json({
+      error: `Rate limit exceeded: ${limit.limit} requests per minute. Retry after ${res.get("Retry-After")}s`,
+    })
+  }
+
+  next()
+}
+
+/**
+ * @param {string} scope - "upload", "read" or "admin"; admin keys pass every check
+ * @returns {Function} Middleware that answers 403 when the key lacks the scope
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || apiKeys.hasScope(req.apiKey, scope)) return next()
+
+    res.status(403).json({ error: `API key '${req.apiKey.name}' does not have the '${scope}' scope` })
+  }
+}
+
+/**
+ * Reject an upload that would take the key over its daily quota before its body is read
+ * The size is taken from Content-Length (for multipart bodies this includes the
+ * form framing, so it is slightly more than the file). A raw body sent without
+ * one needs at least one byte left, and the bytes it may still use are left in
+ * req.uploadBytesRemaining for whoever streams it. Rows are counted once an
+ * import has finished, so the row quota stops the next upload rather than
+ * cutting one off halfway.
+ */
+async function enforceUploadQuota(req, res, next) {
+  const apiKey = req.apiKey
+  if (!apiKey || !hasRequestBody(req) || !hasUploadQuota(apiKey)) return next()
+
+  const uploadSize = Number(req.get("Content-Length")) || 0
+  if (uploadSize === 0 && apiKey.daily_upload_bytes !== null && req.is("multipart/form-data")) {
+    return res.status(411).json({ error: "Send uploads with a Content-Length; this key has a daily byte quota" })
+  }
+
+  let quota
+  try {
+    // A chunked body has no size yet, so it needs at least one byte left
+    quota = await reserveUploadQuota(req, { bytes: uploadSize || 1 })
+  } catch (error) {
+    logger.error("Error checking upload quota", { error })
+    return res.status(500).json({ error: error.message })
+  }
+
+  if (quota.exceeded) {
+    return res
+      .status(429)
+      .json({ error: `Daily upload quota exceeded: ${quota.exceeded}. The quota resets at midnight` })
+  }
+
+  if (uploadSize === 0 && quota.bytesRemaining !== null) req.uploadBytesRemaining = quota.bytesRemaining
+  next()
+}
+
+/**
+ * Check an upload against the key's daily quotas and, if it fits, hold its
+ * bytes until the request's usage has been logged
+ * Checking and holding happen without yielding, so concurrent uploads of the
+ * same key (in this process) cannot both pass on the same remaining bytes.
+ * @param {Object} req - Request authenticated by authenticate
+ * @param {Object} upload - { bytes, rows } the upload adds; rows may be omitted
+ * @returns {Object} { exceeded, bytesRemaining }; bytesRemaining is null without a byte quota
+ */
+async function reserveUploadQuota(req, upload) {
+  const apiKey = req.apiKey
+  if (!hasUploadQuota(apiKey)) return { exceeded: null, bytesRemaining: null }
+
+  const usage = await apiKeys.getDailyUsage(apiKey.id)
+
+  const reserved = reservedUploadBytes.get(apiKey.id) || 0
+  const pendingUsage = { ...usage, uploadBytes: usage.uploadBytes + reserved }
+  const exceeded = apiKeys.findExceededQuota(apiKey, pendingUsage, upload)
+  const bytesRemaining =
+    apiKey.daily_upload_bytes === null ? null : Number(apiKey.daily_upload_bytes) - pendingUsage.uploadBytes
+  if (exceeded) return { exceeded, bytesRemaining }
+
+  reservedUploadBytes.set(apiKey.id, reserved + upload.bytes)
+  req.res.on("close", () => {
+    // The usage log is written on finish; until it is stored the bytes stay held
+    Promise.resolve(req.usageLogged).finally(() => {
+      const remaining = reservedUploadBytes.get(apiKey.id) - upload.bytes
+      if (remaining > 0) {
+        reservedUploadBytes.set(apiKey.id, remaining)
+      } else {
+        reservedUploadBytes.delete(apiKey.id)
+      }
+    })
+  })
+  return { exceeded: null, bytesRemaining }
+}
+
+function hasUploadQuota(apiKey) {
+  return apiKey.daily_upload_bytes !== null || apiKey.daily_upload_rows !== null
+}
+
+function hasRequestBody(req) {
+  return req.get("Transfer-Encoding") !== undefined || Number(req.get("Content-Length")) > 0
+}
+
+function readApiKey(req) {
+  const authorization = req.get("Authorization")
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i)
+    return match ? match[1] : null
+  }
+  return req.get("X-API-Key") || null
+}
+
+function logUsageOnFinish(req, res) {
+  const startedAt = Date.now()
+
+  res.on("finish", () => {
+    req.usageLogged = apiKeys
+      .logApiKeyUsage({
+        apiKeyId: req.apiKey.id,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+        // Only accepted uploads count against the byte quota; streamed bodies count what was read
+        uploadBytes: res.statusCode < 400 ? (req.file ? req.file.size : req.receivedBytes || 0) : 0,
+      })
+      .catch((error) => logger.error("Error logging API key usage", { error }))
+  })
+}
+
+module.exports = {
+  API_KEYS_ENABLED,
+  authenticate,
+  requireScope,
+  enforceUploadQuota,
+  reserveUploadQuota,
+}
@@ -0,0 +1,56 @@
+// src/middleware/requestContext.js
+
+const crypto = require("crypto")
+const { AsyncResource } = require("async_hooks")
+const logger = require("../utils/logger")
+const { recordHttpRequest } = require("../utils/metrics")
+
+// Ids passed in by a proxy or client are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+/**
+ * Give every request a correlation id and log and time it when it finishes
+ * The id comes from the X-Request-Id header or is generated, is echoed in the
+ * response's X-Request-Id header and is added to every line logged while the
+ * request is handled
+ */
+function requestContext(req, res, next) {
+  const incomingId = req.get("X-Request-Id")
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID()
+  res.set("X-Request-Id", req.id)
+  const startTime = process.hrtime.bigint()
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6
+    // Label by route pattern, not path, so ids do not each create a time series
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched"
+
+    recordHttpRequest({ method: req.method, route, status: res.statusCode, durationMs })
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 100) / 100,
+      apiKeyId: req.apiKey?.id,
+    })
+  })
+
+  logger.runWithContext({ requestId: req.id }, next)
+}
+
+/**
+ * Keep the request's log context across middleware that calls next from
+ * stream events, such as multer
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Express middleware
+ */
+function preserveContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next))
+}
+
+module.exports = {
+  requestContext,
+  preserveContext,
+}
@@ -0,0 +1,11 @@
+-- IF NOT EXISTS lets databases created before migrations existed adopt this one
+CREATE TABLE IF NOT EXISTS public.users (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR NOT NULL,
+  age INTEGER NOT NULL,
+  address JSONB NULL,
+  additional_info JSONB NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_age ON public.users(age);
@@ -0,0 +1,2 @@
+ALTER TABLE public.users DROP COLUMN IF EXISTS import_id;
+DROP TABLE IF EXISTS public.imports;
@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS public.imports (
+  id SERIAL PRIMARY KEY,
+  file_name VARCHAR NOT NULL,
+  file_size BIGINT NOT NULL,
+  uploaded_by VARCHAR NULL,
+  status VARCHAR NOT NULL DEFAULT 'processing',
+  rows_parsed INTEGER NOT NULL DEFAULT 0,
+  rows_inserted INTEGER NOT NULL DEFAULT 0,
+  rows_updated INTEGER NOT NULL DEFAULT 0,
+  rows_skipped INTEGER NOT NULL DEFAULT 0,
+  parse_time_ms INTEGER NULL,
+  insert_time_ms INTEGER NULL,
+  error TEXT NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  rolled_back_at TIMESTAMP NULL
+);
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS import_id INTEGER NULL REFERENCES public.imports(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_users_import_id ON public.users(import_id);
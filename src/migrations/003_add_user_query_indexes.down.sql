@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS public.idx_users_additional_info;
+DROP INDEX IF EXISTS public.idx_users_address;
+DROP INDEX IF EXISTS public.idx_users_created_at;
@@ -0,0 +1,3 @@
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON public.users(created_at);
+CREATE INDEX IF NOT EXISTS idx_users_address ON public.users USING GIN (address jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_users_additional_info ON public.users USING GIN (additional_info jsonb_path_ops);
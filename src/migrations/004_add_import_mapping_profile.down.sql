@@ -0,0 +1,2 @@
+ALTER TABLE public.imports DROP COLUMN IF EXISTS target_table;
+ALTER TABLE public.imports DROP COLUMN IF EXISTS mapping_profile;
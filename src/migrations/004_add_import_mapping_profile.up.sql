@@ -0,0 +1,2 @@
+ALTER TABLE public.imports ADD COLUMN IF NOT EXISTS mapping_profile VARCHAR NOT NULL DEFAULT 'users';
+ALTER TABLE public.imports ADD COLUMN IF NOT EXISTS target_table VARCHAR NULL;
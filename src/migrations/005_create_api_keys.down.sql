@@ -0,0 +1,3 @@
+ALTER TABLE public.imports DROP COLUMN IF EXISTS api_key_id;
+DROP TABLE IF EXISTS public.api_key_usage;
+DROP TABLE IF EXISTS public.api_keys;
@@ -0,0 +1,29 @@
+CREATE TABLE public.api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR NOT NULL,
+  key_prefix VARCHAR NOT NULL,
+  key_hash VARCHAR NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+  daily_upload_bytes BIGINT NULL,
+  daily_upload_rows BIGINT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL
+);
+
+CREATE TABLE public.api_key_usage (
+  id BIGSERIAL PRIMARY KEY,
+  api_key_id INTEGER NOT NULL REFERENCES public.api_keys(id) ON DELETE CASCADE,
+  method VARCHAR NOT NULL,
+  path VARCHAR NOT NULL,
+  status INTEGER NOT NULL,
+  duration_ms INTEGER NOT NULL,
+  upload_bytes BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_api_key_usage_key_created_at ON public.api_key_usage(api_key_id, created_at);
+
+ALTER TABLE public.imports ADD COLUMN api_key_id INTEGER NULL REFERENCES public.api_keys(id) ON DELETE SET NULL;
+CREATE INDEX idx_imports_api_key_started_at ON public.imports(api_key_id, started_at);
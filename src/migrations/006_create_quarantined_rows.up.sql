@@ -0,0 +1,20 @@
+CREATE TABLE public.quarantined_rows (
+  id SERIAL PRIMARY KEY,
+  import_id INTEGER NULL REFERENCES public.imports(id) ON DELETE CASCADE,
+  file_name VARCHAR NOT NULL,
+  line_number INTEGER NOT NULL,
+  header_line TEXT NOT NULL,
+  raw TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  dialect JSONB NOT NULL,
+  upload_options JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR NOT NULL DEFAULT 'pending',
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  resolved_import_id INTEGER NULL REFERENCES public.imports(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP NULL
+);
+
+CREATE INDEX idx_quarantined_rows_status ON public.quarantined_rows(status, id);
+CREATE INDEX idx_quarantined_rows_import_id ON public.quarantined_rows(import_id);
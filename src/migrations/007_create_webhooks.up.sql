@@ -0,0 +1,29 @@
+CREATE TABLE public.webhooks (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR NOT NULL,
+  secret VARCHAR NOT NULL,
+  events TEXT[] NOT NULL,
+  description VARCHAR NULL,
+  api_key_id INTEGER NULL REFERENCES public.api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE public.webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES public.webhooks(id) ON DELETE CASCADE,
+  event VARCHAR NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NULL,
+  response_status INTEGER NULL,
+  response_body TEXT NULL,
+  error TEXT NULL,
+  duration_ms INTEGER NULL,
+  redelivery_of INTEGER NULL REFERENCES public.webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL
+);
+
+CREATE INDEX idx_webhook_deliveries_webhook_id ON public.webhook_deliveries(webhook_id, id);
+CREATE INDEX idx_webhook_deliveries_pending ON public.webhook_deliveries(next_attempt_at) WHERE status = 'pending';
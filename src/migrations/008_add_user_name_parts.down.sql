@@ -0,0 +1,2 @@
+ALTER TABLE public.users DROP COLUMN IF EXISTS last_name;
+ALTER TABLE public.users DROP COLUMN IF EXISTS first_name;
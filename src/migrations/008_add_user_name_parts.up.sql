@@ -0,0 +1,3 @@
+-- The parts name is joined from, so exports give them back exactly; rows imported earlier keep NULL
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS first_name VARCHAR NULL;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS last_name VARCHAR NULL;
@@ -0,0 +1,88 @@
+require("dotenv").config()
+const { parseArgs } = require("util")
+const { pool } = require("../config/database")
+const apiKeys = require("../utils/apiKeys")
+
+const USAGE = `Usage: npm run api-keys -- <command> [options]
+
+Commands:
+  create --name <name> --scopes <scopes>  Create a key and print it (shown only once)
+         [--rate-limit <n>]               Requests per minute (default 60)
+         [--daily-bytes <n>]              Upload bytes per day (default unlimited)
+         [--daily-rows <n>]               Imported rows per day (default unlimited)
+  list [--all]                            List active keys, or all keys including revoked ones
+  revoke <id>                             Revoke a key
+
+Scopes: ${apiKeys.API_KEY_SCOPES.join(", ")} (comma-separated; admin grants every scope)`
+
+const OPTIONS = {
+  name: { type: "string" },
+  scopes: { type: "string" },
+  "rate-limit": { type: "string" },
+  "daily-bytes": { type: "string" },
+  "daily-rows": { type: "string" },
+  all: { type: "boolean", default: false },
+}
+
+function formatApiKey(apiKey) {
+  const limits = [
+    `${apiKey.rate_limit_per_minute}/min`,
+    apiKey.daily_upload_bytes !== null ? `${apiKey.daily_upload_bytes} bytes/day` : null,
+    apiKey.daily_upload_rows !== null ? `${apiKey.daily_upload_rows} rows/day` : null,
+  ].filter(Boolean)
+  const revoked = apiKey.revoked_at ? `  revoked ${new Date(apiKey.revoked_at).toISOString()}` : ""
+  const scopes = apiKey.scopes.join(",")
+
+  return `${apiKey.id}  ${apiKey.key_prefix}…  ${apiKey.name}  [${scopes}]  ${limits.join(", ")}${revoked}`
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true })
+  const [command, ...args] = positionals
+
+  switch (command) {
+    case "create": {
+      const { key, apiKey } = await apiKeys.createApiKey({
+        name: values.name,
+        scopes: values.scopes,
+        rateLimitPerMinute: values["rate-limit"],
+        dailyUploadBytes: values["daily-bytes"],
+        dailyUploadRows: values["daily-rows"],
+      })
+      console.log(formatApiKey(apiKey))
+      console.log(`\nAPI key (store it now, it cannot be shown again):\n${key}`)
+      break
+    }
+
+    case "list": {
+      const keys = await apiKeys.listApiKeys({ includeRevoked: values.all })
+      keys.forEach((apiKey) => console.log(formatApiKey(apiKey)))
+      console.log(`\n${keys.length} key(s)`)
+      break
+    }
+
+    case "revoke": {
+      const id = Number(args[0])
+      if (!Number.isInteger(id) || id < 1) {
+        throw new Error("revoke expects the id of the key")
+      }
+      const revoked = await apiKeys.revokeApiKey(id)
+      if (!revoked) {
+        throw new Error(`API key ${id} not found or already revoked`)
+      }
+      console.log(`Revoked ${formatApiKey(revoked)}`)
+      break
+    }
+
+    default:
+      console.error(USAGE)
+      process.exitCode = 1
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Error:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
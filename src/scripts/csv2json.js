@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+const fs = require("fs")
+const { parseArgs } = require("util")
+const csvParser = require("../utils/csvParser")
+const ParseReport = require("../utils/parseReport")
+const { normalizeDialectOptions } = require("../utils/csvDialect")
+const { parseSchemaDocument } = require("../utils/columnSchema")
+const { writeChunk } = require("../utils/streamResponse")
+const logger = require("../utils/logger")
+
+const OUTPUT_FORMATS = ["json", "ndjson"]
+
+const USAGE = `Usage: csv2json <command> [input.csv] [options]
+
+Reads the CSV file, or stdin when the input is omitted or '-'.
+
+Commands:
+  convert                   Convert CSV rows into nested JSON records
+  validate                  Print header problems and rejected rows; exits 1 if there are any
+
+Options:
+  -o, --output <file>       Write to a file instead of stdout (convert)
+  -f, --format <format>     json (an array, default) or ndjson (convert)
+  -p, --pretty              Indent JSON output (convert, json format only)
+      --json                Print the validation report as JSON (validate)
+      --mandatory <fields>  Comma-separated fields the header must contain
+                            (default: name.firstName,name.lastName,age)
+      --no-mandatory        Do not require any fields
+      --schema <file>       Column schema (JSON Schema document)
+      --delimiter <char>    Field delimiter, e.g. ';' or tab (detected when omitted)
+      --quote <char>        Quote character
+      --escape <char>       Escape character
+      --encoding <label>    Text encoding, e.g. latin1 (detected when omitted)
+  -q, --quiet               Do not print progress, skipped rows and the summary on stderr
+  -h, --help                Show this help`
+
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  format: { type: "string", short: "f", default: "json" },
+  pretty: { type: "boolean", short: "p", default: false },
+  json: { type: "boolean", default: false },
+  mandatory: { type: "string" },
+  "no-mandatory": { type: "boolean", default: false },
+  schema: { type: "string" },
+  delimiter: { type: "string" },
+  quote: { type: "string" },
+  escape: { type: "string" },
+  encoding: { type: "string" },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+}
+
+class UsageError extends Error {}
+
+/**
+ * Turn command-line options into parseCSVStream options
+ * @param {Object} values - Values from util.parseArgs
+ * @returns {Object} { dialect, schema, mandatoryFields }
+ * @throws {UsageError} If an option is invalid
+ */
+function buildParserOptions(values) {
+  const options = {}
+
+  try {
+    options.dialect = normalizeDialectOptions(values)
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+
+  if (values.schema) {
+    let document
+    try {
+      document = JSON.parse(fs.readFileSync(values.schema, "utf8"))
+    } catch (error) {
+      throw new UsageError(`Cannot read schema ${values.schema}: ${error.message}`)
+    }
+    options.schema = parseSchemaDocument(document)
+  }
+
+  if (values["no-mandatory"] && values.mandatory !== undefined) {
+    throw new UsageError("--mandatory and --no-mandatory cannot be combined")
+  }
+  if (values["no-mandatory"]) {
+    options.mandatoryFields = []
+  } else if (values.mandatory !== undefined) {
+    options.mandatoryFields = values.mandatory
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean)
+  }
+
+  return options
+}
+
+/**
+ * Stream records to the output as a JSON array or NDJSON
+ * @param {string|Readable} input - Path to CSV file or stdin
+ * @param {Object} values - Values from util.parseArgs
+ * @returns {number} Exit code
+ */
+async function convert(input, values) {
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new UsageError(`Invalid format '${values.format}'. Use one of: ${OUTPUT_FORMATS.join(", ")}`)
+  }
+  if (values.pretty && values.format === "ndjson") {
+    throw new UsageError("--pretty cannot be used with ndjson output, which has one record per line")
+  }
+
+  const parserOptions = buildParserOptions(values)
+  const output = values.output ? fs.createWriteStream(values.output) : process.stdout
+  let outputError = null
+  output.on("error", (error) => {
+    outputError = error
+  })
+  let recordCount = 0
+  let skippedCount = 0
+
+  try {
+    const records = csvParser.parseCSVStream(input, {
+      ...parserOptions,
+      onRowSkipped: () => skippedCount++,
+    })
+
+    if (values.format === "json") {
+      await writeChunk(output, "[")
+    }
+
+    for await (const record of records) {
+      await writeChunk(output, formatRecord(record, recordCount, values))
+      recordCount++
+    }
+
+    if (values.format === "json") {
+      await writeChunk(output, recordCount > 0 && values.pretty ? "\n]\n" : "]\n")
+    }
+  } catch (error) {
+    if (values.output) {
+      output.destroy()
+      fs.rmSync(values.output, { force: true })
+    }
+    // A failed write surfaces as a closed stream; report the underlying cause
+    throw outputError || error
+  }
+
+  if (values.output) {
+    await new Promise((resolve, reject) => output.end((error) => (error ? reject(error) : resolve())))
+  }
+
+  const skipped = skippedCount > 0 ? ` (${skippedCount} rows skipped)` : ""
+  logger.info(`Converted ${recordCount} records${skipped}${values.output ? ` to ${values.output}` : ""}`, {
+    recordCount,
+    skippedCount,
+  })
+  return 0
+}
+
+function formatRecord(record, index, values) {
+  if (values.format === "ndjson") {
+    return JSON.stringify(record) + "\n"
+  }
+
+  const separator = index > 0 ? "," : ""
+  if (!values.pretty) {
+    return separator + JSON.stringify(record)
+  }
+  // Indent each record one level so the array reads like JSON.stringify(records, null, 2)
+  return `${separator}\n  ${JSON.stringify(record, null, 2).replace(/\n/g, "\n  ")}`
+}
+
+/**
+ * Parse the whole input without output and report every problem
+ * @param {string|Readable} input - Path to CSV file or stdin
+ * @param {Object} values - Values from util.parseArgs
+ * @returns {number} Exit code: 0 when valid, 1 otherwise
+ */
+async function validate(input, values) {
+  const parserOptions = buildParserOptions(values)
+  const report = new ParseReport()
+
+  try {
+    const records = csvParser.parseCSVStream(input, { ...parserOptions, report, validateOnly: true })
+    for await (const record of records) {
+      // Records are discarded; only the report matters
+    }
+  } catch (error) {
+    report.addHeaderProblem({ type: "unreadable_file", severity: "error", message: error.message })
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(report.toJSON(), null, 2) + "\n")
+  } else {
+    printReport(report)
+  }
+
+  return report.isValid() ? 0 : 1
+}
+
+function printReport(report) {
+  const print = (line) => process.stdout.write(line + "\n")
+
+  for (const problem of report.headerProblems) {
+    print(`header: ${problem.severity}: ${problem.message}`)
+  }
+  for (const row of report.rejectedRows) {
+    print(`line ${row.line}: ${row.reason}`)
+  }
+  if (report.rejectedRowCount > report.rejectedRows.length) {
+    print(`... and ${report.rejectedRowCount - report.rejectedRows.length} more rejected rows`)
+  }
+
+  const summary = `${report.acceptedRowCount} rows accepted, ${report.rejectedRowCount} rejected`
+  print(report.isValid() ? `✓ Valid: ${summary}` : `✗ Invalid: ${summary}`)
+}
+
+/**
+ * Keep stdout for data: log lines, parser warnings included, go to stderr,
+ * or nowhere when quiet
+ * @param {boolean} quiet - Silence log output
+ */
+function configureLogging(quiet) {
+  const level = quiet ? "silent" : process.env.LOG_LEVEL || "info"
+  logger.configure({ stream: process.stderr, format: "text", level })
+}
+
+async function main(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+
+  const { values, positionals } = parsed
+  const [command, inputPath, ...extra] = positionals
+  if (values.help) {
+    console.error(USAGE)
+    return 0
+  }
+  if (extra.length > 0) {
+    throw new UsageError(`Unexpected argument '${extra[0]}'`)
+  }
+
+  const input = inputPath === undefined || inputPath === "-" ? process.stdin : inputPath
+  if (typeof input === "string" && !fs.existsSync(input)) {
+    throw new UsageError(`Input file not found: ${input}`)
+  }
+
+  switch (command) {
+    case "convert":
+      configureLogging(values.quiet)
+      return convert(input, values)
+
+    case "validate":
+      // The report lists every problem, so the parser's own messages are redundant
+      configureLogging(true)
+      return validate(input, values)
+
+    default:
+      throw new UsageError(command ? `Unknown command '${command}'` : "Missing command")
+  }
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode
+  })
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`csv2json: ${error.message}\n\n${USAGE}`)
+      process.exitCode = 2
+    } else {
+      console.error(`csv2json: ${error.message}`)
+      process.exitCode = 1
+    }
+  })
@@ -0,0 +1,84 @@
+require("dotenv").config()
+const { pool } = require("../config/database")
+const { getMigrationStatus, migrateUp, migrateDown, formatMigration } = require("../utils/migrations")
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  up [--to <version>]     Apply pending migrations (up to and including version)
+  down [--steps <n>]      Revert the last n applied migrations (default 1)
+  status                  List applied and pending migrations`
+
+/**
+ * Read "--name value" options
+ * @param {Array} args - Arguments after the command
+ * @param {Array} allowed - Option names the command accepts
+ * @returns {Object} Option values as positive integers
+ * @throws {Error} If an option is unknown or its value is not a positive integer
+ */
+function parseOptions(args, allowed) {
+  const options = {}
+
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, "")
+    const value = Number(args[i + 1])
+    if (!args[i].startsWith("--") || !allowed.includes(name)) {
+      throw new Error(`Unknown option '${args[i]}'`)
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Option --${name} expects a positive integer`)
+    }
+    options[name] = value
+  }
+
+  return options
+}
+
+async function printStatus() {
+  const { applied, pending, missing } = await getMigrationStatus()
+
+  for (const migration of applied) {
+    console.log(`[x] ${formatMigration(migration)}  applied ${new Date(migration.appliedAt).toISOString()}`)
+  }
+  for (const migration of pending) {
+    console.log(`[ ] ${formatMigration(migration)}  pending`)
+  }
+  for (const migration of missing) {
+    console.log(`[?] ${formatMigration(migration)}  applied but its files are missing`)
+  }
+
+  console.log(`\n${applied.length} applied, ${pending.length} pending`)
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp(parseOptions(args, ["to"]))
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : "No pending migrations")
+      break
+    }
+
+    case "down": {
+      const reverted = await migrateDown(parseOptions(args, ["steps"]))
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : "No applied migrations")
+      break
+    }
+
+    case "status":
+      await printStatus()
+      break
+
+    default:
+      console.error(USAGE)
+      process.exitCode = 1
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Migration failed:", error.message)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
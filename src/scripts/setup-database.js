@@ -1,5 +1,7 @@
-const { Pool } = require("pg")
 require("dotenv").config()
+const { Pool } = require("pg")
+const { pool } = require("../config/database")
+const { migrateUp } = require("../utils/migrations")
 
 async function setupDatabase() {
   // First connect to postgres database to create our target database
@@ -28,32 +30,11 @@ async function setupDatabase() {
 
     await adminPool.end()
 
-    // Now connect to our target database and create tables
-    const appPool = new Pool({
-      host: process.env.DB_HOST,
-      port: process.env.DB_PORT,
-      database: process.env.DB_NAME,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-    })
-
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS public.users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR NOT NULL,
-        age INTEGER NOT NULL,
-        address JSONB NULL,
-        additional_info JSONB NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_users_age ON public.users(age);
-    `
-
-    await appPool.query(createTableQuery)
-    console.log("Tables created successfully")
+    // Now bring the target database's schema up to date
+    const applied = await migrateUp()
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : "Schema is already up to date")
 
-    await appPool.end()
+    await pool.end()
     console.log("Database setup completed!")
   } catch (error) {
     console.error("Database setup failed:", error)
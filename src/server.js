@@ -8,12 +8,31 @@ const fs = require("fs")
 require("dotenv").config()
 
 const csvController = require("./controllers/csvController")
-const { initializeDatabase } = require("./config/database")
+const jobController = require("./controllers/jobController")
+const importController = require("./controllers/importController")
+const apiKeyController = require("./controllers/apiKeyController")
+const quarantineController = require("./controllers/quarantineController")
+const webhookController = require("./controllers/webhookController")
+const healthController = require("./controllers/healthController")
+const { authenticate, requireScope, enforceUploadQuota } = require("./middleware/apiKeyAuth")
+const { requestContext, preserveContext } = require("./middleware/requestContext")
+const { pool, testConnection } = require("./config/database")
+const { assertNoPendingMigrations } = require("./utils/migrations")
+const { webhookDispatcher } = require("./utils/webhooks")
+const logger = require("./utils/logger")
+const metrics = require("./utils/metrics")
+const importJobs = require("./utils/importJobs")
+const { serverState } = require("./utils/health")
 
 const app = express()
 const PORT = process.env.PORT || 3000
+const STARTUP_RETRY_MS = Number.parseInt(process.env.STARTUP_RETRY_MS) || 5000
+const SHUTDOWN_TIMEOUT_MS = Number.parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000
+// Time aborted imports get to roll back, and open connections get to finish, once the timeout has passed
+const SHUTDOWN_GRACE_MS = 5000
 
 // Middleware
+app.use(requestContext)
 app.use(cors())
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
@@ -23,8 +42,11 @@ const uploadDir = process.env.CSV_UPLOAD_PATH || "./uploads"
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true })
 }
+app.locals.uploadDir = uploadDir
 
 // Configure multer for file uploads
+const maxFileSizeMB = Number.parseInt(process.env.CSV_MAX_FILE_SIZE_MB) || 500
+app.locals.maxFileSizeMB = maxFileSizeMB
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir)
@@ -35,63 +57,254 @@ const storage = multer.diskStorage({
   },
 })
 
+// Gzip and zip uploads are detected from their content and decompressed while importing
+const UPLOAD_MIME_TYPES = [
+  "text/csv",
+  "application/gzip",
+  "application/x-gzip",
+  "application/zip",
+  "application/x-zip-compressed",
+]
+const UPLOAD_EXTENSIONS = [".csv", ".gz", ".zip"]
+
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === "text/csv" || path.extname(file.originalname).toLowerCase() === ".csv") {
+    const extension = path.extname(file.originalname).toLowerCase()
+    if (UPLOAD_MIME_TYPES.includes(file.mimetype) || UPLOAD_EXTENSIONS.includes(extension)) {
       cb(null, true)
     } else {
-      cb(new Error("Only CSV files are allowed!"), false)
+      cb(new Error("Only CSV, gzip (.csv.gz) or zip files are allowed!"), false)
     }
   },
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: maxFileSizeMB * 1024 * 1024, // Files are streamed, so this only bounds disk usage
   },
 })
 
+// Uploads that arrive while shutting down would only be cut off
+const rejectWhileShuttingDown = (req, res, next) => {
+  if (serverState.status !== "shuttingDown") return next()
+  res.set("Retry-After", "30").status(503).json({ error: "The server is shutting down; retry the upload shortly" })
+}
+
+// Multer reads the upload from stream events, which would lose the request's log context
+const receiveUpload = [
+  rejectWhileShuttingDown,
+  preserveContext(upload.single("csvFile")),
+  (req, res, next) => {
+    if (req.file) metrics.recordUpload(req.path, req.file.size)
+    next()
+  },
+]
+
 // Routes
 app.get("/", (req, res) => {
   res.json({
     message: "CSV to JSON Converter API",
     endpoints: {
-      "POST /api/upload-csv": "Upload and process CSV file",
-      "GET /api/users": "Get all users from database",
-      "GET /api/age-distribution": "Get age distribution report",
+      "POST /api/upload-csv": "Upload a CSV, .csv.gz or zip of CSVs and start a background import job",
+      "POST /api/validate-csv": "Dry-run a CSV file and get a per-row error report",
+      "POST /api/profile-csv": "Profile the columns of a CSV file without storing it",
+      "POST /api/convert": "Convert a CSV file or text/csv body to JSON or NDJSON without storing it",
+      "GET /api/jobs/:id": "Get import job status and progress",
+      "GET /api/jobs/:id/events": "Stream import job progress (Server-Sent Events)",
+      "GET /api/imports": "List import history",
+      "GET /api/imports/:id": "Get one import with its row counts and timings",
+      "DELETE /api/imports/:id": "Roll back an import by deleting the rows it created",
+      "GET /api/mapping-profiles": "List the mapping profiles uploads can map records with",
+      "GET /api/quarantine": "List rows imports skipped (status, importId, fileName, search)",
+      "GET /api/quarantine/:id": "Get one quarantined row",
+      "PATCH /api/quarantine/:id": "Fix a quarantined row (raw, values) or discard it (status)",
+      "POST /api/quarantine/:id/retry": "Start a job importing a fixed quarantined row",
+      "POST /api/quarantine/retry": "Start a job importing fixed quarantined rows (ids or importId)",
+      "GET /api/users": "Get users with filters, sorting and cursor pagination",
+      "GET /api/users/export": "Stream users as CSV, NDJSON or JSON (format=csv|ndjson|json)",
+      "GET /api/age-distribution": "Get age distribution report (buckets=20,40,60)",
+      "GET /api/distribution": "Get the distribution of users over any field (field=address.state)",
+      "POST /api/keys": "Create an API key (admin)",
+      "GET /api/keys": "List API keys (admin)",
+      "GET /api/keys/:id": "Get an API key with today's usage (admin)",
+      "DELETE /api/keys/:id": "Revoke an API key (admin)",
+      "POST /api/webhooks": "Register a webhook for import.completed and import.failed (admin)",
+      "GET /api/webhooks": "List webhooks (admin)",
+      "GET /api/webhooks/:id": "Get a webhook (admin)",
+      "DELETE /api/webhooks/:id": "Delete a webhook and its delivery log (admin)",
+      "GET /api/webhooks/:id/deliveries": "List a webhook's delivery log (admin)",
+      "GET /api/webhooks/:id/deliveries/:deliveryId": "Get one delivery with its payload and response (admin)",
+      "POST /api/webhooks/:id/deliveries/:deliveryId/redeliver": "Send a delivery again (admin)",
     },
+    authentication: "Send an API key as 'Authorization: Bearer <key>' or in the X-API-Key header",
+    metrics: "GET /metrics (Prometheus text format, no API key)",
+    health: "GET /healthz (process alive) and GET /readyz (ready to serve requests), no API key",
   })
 })
 
-app.post("/api/upload-csv", upload.single("csvFile"), csvController.uploadAndProcessCSV.bind(csvController))
+app.get("/healthz", healthController.healthz)
+app.get("/readyz", healthController.readyz)
+
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", metrics.register.contentType)
+    res.end(await metrics.register.metrics())
+  } catch (error) {
+    logger.error("Error collecting metrics", { error })
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Until the database is reachable and migrated, /api answers 503; /readyz tells why
+app.use("/api", (req, res, next) => {
+  if (serverState.status !== "starting") return next()
+  res.set("Retry-After", String(Math.ceil(STARTUP_RETRY_MS / 1000)))
+  res.status(503).json({ error: "The server is starting; see GET /readyz" })
+})
+
+// Every /api route needs an API key with the scope listed on the route
+app.use("/api", authenticate)
+
+const uploadScope = requireScope("upload")
+const readScope = requireScope("read")
+const adminScope = requireScope("admin")
+
+app.post(
+  "/api/upload-csv",
+  uploadScope,
+  enforceUploadQuota,
+  receiveUpload,
+  csvController.uploadAndProcessCSV.bind(csvController),
+)
+
+app.post("/api/validate-csv", uploadScope, enforceUploadQuota, receiveUpload, csvController.validateCSV)
+app.post("/api/profile-csv", uploadScope, enforceUploadQuota, receiveUpload, csvController.profileCSV)
+// Multer skips non-multipart requests, so raw text/csv bodies reach the controller unread
+app.post("/api/convert", uploadScope, enforceUploadQuota, receiveUpload, csvController.convertCSV)
+
+app.get("/api/jobs/:id", readScope, jobController.getJob)
+app.get("/api/jobs/:id/events", readScope, jobController.streamJobEvents)
+
+app.get("/api/imports", readScope, importController.listImports)
+app.get("/api/imports/:id", readScope, importController.getImport)
+app.delete("/api/imports/:id", adminScope, importController.rollbackImport)
+app.get("/api/mapping-profiles", readScope, importController.listMappingProfiles)
+
+app.get("/api/quarantine", readScope, quarantineController.listQuarantinedRows)
+app.post("/api/quarantine/retry", uploadScope, quarantineController.retryQuarantinedRows)
+app.get("/api/quarantine/:id", readScope, quarantineController.getQuarantinedRow)
+app.patch("/api/quarantine/:id", uploadScope, quarantineController.updateQuarantinedRow)
+app.post("/api/quarantine/:id/retry", uploadScope, quarantineController.retryQuarantinedRow)
+
+app.get("/api/users", readScope, csvController.getAllUsers)
+app.get("/api/users/export", readScope, csvController.exportUsers.bind(csvController))
+app.get("/api/age-distribution", readScope, csvController.getAgeDistribution)
+app.get("/api/distribution", readScope, csvController.getDistribution)
+
+app.post("/api/keys", adminScope, apiKeyController.createApiKey)
+app.get("/api/keys", adminScope, apiKeyController.listApiKeys)
+app.get("/api/keys/:id", adminScope, apiKeyController.getApiKey)
+app.delete("/api/keys/:id", adminScope, apiKeyController.revokeApiKey)
 
-app.get("/api/users", csvController.getAllUsers)
-app.get("/api/age-distribution", csvController.getAgeDistribution)
+app.post("/api/webhooks", adminScope, webhookController.createWebhook)
+app.get("/api/webhooks", adminScope, webhookController.listWebhooks)
+app.get("/api/webhooks/:id", adminScope, webhookController.getWebhook)
+app.delete("/api/webhooks/:id", adminScope, webhookController.deleteWebhook)
+app.get("/api/webhooks/:id/deliveries", adminScope, webhookController.listDeliveries)
+app.get("/api/webhooks/:id/deliveries/:deliveryId", adminScope, webhookController.getDelivery)
+app.post("/api/webhooks/:id/deliveries/:deliveryId/redeliver", adminScope, webhookController.redeliver)
 
 // Error handling middleware
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json({ error: "File too large. Maximum size is 50MB." })
+      return res.status(400).json({ error: `File too large. Maximum size is ${maxFileSizeMB}MB.` })
     }
   }
 
-  console.error("Error:", error)
+  logger.error("Unhandled request error", { error })
   res.status(500).json({ error: error.message || "Internal server error" })
 })
 
-// Initialize database and start server
+// Start serving right away, and wait for the database and migrations before
+// accepting /api requests, so a database that is down at boot only delays readiness
 async function startServer() {
+  const server = app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`, { port: PORT, uploadDir })
+  })
+
+  process.on("SIGTERM", () => shutdown(server, "SIGTERM"))
+  process.on("SIGINT", () => shutdown(server, "SIGINT"))
+
+  while (serverState.status === "starting") {
+    try {
+      await testConnection()
+      // The schema is managed by migrations (npm run migrate up); never serve against an old one
+      await assertNoPendingMigrations()
+      logger.info("Database schema is up to date")
+      break
+    } catch (error) {
+      logger.error(`Server is not ready, checking again in ${STARTUP_RETRY_MS}ms`, { error })
+      await new Promise((resolve) => setTimeout(resolve, STARTUP_RETRY_MS))
+    }
+  }
+  if (serverState.status !== "starting") return
+
+  serverState.status = "ready"
+  try {
+    const resumedDeliveries = await webhookDispatcher.resumePending()
+    if (resumedDeliveries > 0) {
+      logger.info(`Resuming ${resumedDeliveries} pending webhook deliveries`, { deliveries: resumedDeliveries })
+    }
+  } catch (error) {
+    logger.error("Failed to resume pending webhook deliveries", { error })
+  }
+}
+
+/**
+ * Stop gracefully: refuse new uploads, give running imports SHUTDOWN_TIMEOUT_MS
+ * to finish (then abort them, which rolls their transactions back), stop
+ * webhook retries, close the HTTP server and the database pool
+ * A second signal exits immediately.
+ * @param {http.Server} server - HTTP server
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(server, signal) {
+  if (serverState.status === "shuttingDown") {
+    logger.warn(`${signal} received again, exiting without waiting`)
+    process.exit(1)
+  }
+
+  serverState.status = "shuttingDown"
+  logger.info(`${signal} received, shutting down`, { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS })
+
   try {
-    await initializeDatabase()
-    console.log("Database initialized successfully")
+    importJobs.stopAccepting()
+    if (!(await importJobs.waitForIdle(SHUTDOWN_TIMEOUT_MS))) {
+      logger.warn(`Imports still running after ${SHUTDOWN_TIMEOUT_MS}ms, rolling them back`)
+      importJobs.abortRunning("The server shut down during the import, so it was rolled back; upload the file again")
+      await importJobs.waitForIdle(SHUTDOWN_GRACE_MS)
+    }
 
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`)
-      console.log(`Upload directory: ${uploadDir}`)
-    })
+    await webhookDispatcher.stop()
+    await closeServer(server)
+    await pool.end()
+    logger.info("Shutdown complete")
+    process.exit(0)
   } catch (error) {
-    console.error("Failed to start server:", error)
+    logger.error("Error during shutdown", { error })
     process.exit(1)
   }
 }
 
+/**
+ * Close the HTTP server, cutting connections still open after SHUTDOWN_GRACE_MS
+ * @param {http.Server} server - HTTP server
+ */
+function closeServer(server) {
+  return new Promise((resolve) => {
+    server.close(() => resolve())
+    server.closeIdleConnections()
+    setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS).unref()
+  })
+}
+
 startServer()
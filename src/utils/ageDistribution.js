@@ -1,87 +1,82 @@
 const { pool } = require("../config/database")
+const { buildBuckets, parseBucketBoundaries } = require("./distribution")
+const logger = require("./logger")
+
+const DEFAULT_AGE_BUCKETS = process.env.AGE_DISTRIBUTION_BUCKETS
+  ? parseBucketBoundaries(process.env.AGE_DISTRIBUTION_BUCKETS)
+  : [20, 40, 60]
 
 /**
  * Calculate age distribution from database
+ * @param {Object} [options] - Distribution options
+ * @param {Array<number>} [options.buckets] - Age band boundaries (defaults to 20, 40, 60)
+ * @param {Object} [options.filters] - { where, params } from buildUserFilters
  * @returns {Object} Age distribution object
  */
-async function calculateAgeDistribution() {
+async function calculateAgeDistribution(options = {}) {
+  const buckets = options.buckets || DEFAULT_AGE_BUCKETS
+  const filters = options.filters || { where: "", params: [] }
+  const params = [...filters.params]
+  const addParam = (value) => {
+    params.push(value)
+    return `$${params.length}`
+  }
+
   try {
+    const bands = buildBuckets("age", buckets, addParam)
     const query = `
-      SELECT 
+      SELECT
         COUNT(*) as total_users,
-        COUNT(CASE WHEN age < 20 THEN 1 END) as under_20,
-        COUNT(CASE WHEN age >= 20 AND age <= 40 THEN 1 END) as age_20_to_40,
-        COUNT(CASE WHEN age > 40 AND age <= 60 THEN 1 END) as age_40_to_60,
-        COUNT(CASE WHEN age > 60 THEN 1 END) as over_60
+        ${bands.map((band, i) => `COUNT(CASE WHEN ${band.condition} THEN 1 END) as band_${i}`).join(",\n        ")}
       FROM public.users
+      ${filters.where}
     `
 
-    const result = await pool.query(query)
+    const result = await pool.query(query, params)
     const row = result.rows[0]
 
     const totalUsers = Number.parseInt(row.total_users)
 
-    if (totalUsers === 0) {
-      return {
-        totalUsers: 0,
-        distribution: {
-          under_20: { count: 0, percentage: 0 },
-          "20_to_40": { count: 0, percentage: 0 },
-          "40_to_60": { count: 0, percentage: 0 },
-          over_60: { count: 0, percentage: 0 },
-        },
-      }
-    }
-
     const distribution = {
       totalUsers,
-      distribution: {
-        under_20: {
-          count: Number.parseInt(row.under_20),
-          percentage: Math.round((Number.parseInt(row.under_20) / totalUsers) * 100),
-        },
-        "20_to_40": {
-          count: Number.parseInt(row.age_20_to_40),
-          percentage: Math.round((Number.parseInt(row.age_20_to_40) / totalUsers) * 100),
-        },
-        "40_to_60": {
-          count: Number.parseInt(row.age_40_to_60),
-          percentage: Math.round((Number.parseInt(row.age_40_to_60) / totalUsers) * 100),
-        },
-        over_60: {
-          count: Number.parseInt(row.over_60),
-          percentage: Math.round((Number.parseInt(row.over_60) / totalUsers) * 100),
-        },
-      },
+      distribution: {},
     }
 
+    bands.forEach((band, i) => {
+      const count = Number.parseInt(row[`band_${i}`])
+      distribution.distribution[band.key] = {
+        count,
+        percentage: totalUsers === 0 ? 0 : Math.round((count / totalUsers) * 100),
+      }
+    })
+
     return distribution
   } catch (error) {
-    console.error("Error calculating age distribution:", error)
+    logger.error("Error calculating age distribution", { error })
     throw error
   }
 }
 
 /**
- * Print age distribution report to console
+ * Summarize an age distribution on one line, e.g. "8 users; < 20: 13%, 20 to 40: 50%, ..."
+ * Works for any bands, labelling them from their keys (under_20, 20_to_40, over_60)
  * @param {Object} distribution - Age distribution data
+ * @returns {string} Summary
  */
-function printAgeDistributionReport(distribution) {
-  console.log("\n" + "=".repeat(50))
-  console.log("AGE DISTRIBUTION REPORT")
-  console.log("=".repeat(50))
-  console.log(`Total Users: ${distribution.totalUsers}`)
-  console.log("-".repeat(30))
-  console.log("Age-Group".padEnd(15) + "% Distribution")
-  console.log("-".repeat(30))
-  console.log(`< 20`.padEnd(15) + `${distribution.distribution.under_20.percentage}`)
-  console.log(`20 to 40`.padEnd(15) + `${distribution.distribution["20_to_40"].percentage}`)
-  console.log(`40 to 60`.padEnd(15) + `${distribution.distribution["40_to_60"].percentage}`)
-  console.log(`> 60`.padEnd(15) + `${distribution.distribution.over_60.percentage}`)
-  console.log("=".repeat(50) + "\n")
+function formatAgeDistribution(distribution) {
+  const bands = Object.entries(distribution.distribution).map(
+    ([key, band]) => `${formatBandLabel(key)}: ${band.percentage}%`,
+  )
+  return `${distribution.totalUsers} users; ${bands.join(", ")}`
+}
+
+function formatBandLabel(key) {
+  if (key.startsWith("under_")) return `< ${key.slice("under_".length)}`
+  if (key.startsWith("over_")) return `> ${key.slice("over_".length)}`
+  return key.replace("_to_", " to ")
 }
 
 module.exports = {
   calculateAgeDistribution,
-  printAgeDistributionReport,
+  formatAgeDistribution,
 }
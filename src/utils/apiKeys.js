@@ -0,0 +1,219 @@
+const crypto = require("crypto")
+const { pool } = require("../config/database")
+
+// admin grants every other scope as well
+const API_KEY_SCOPES = ["upload", "read", "admin"]
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60
+const KEY_PREFIX = "csvk_"
+
+// Columns returned to callers; the hash never leaves this module
+const API_KEY_COLUMNS = `id, name, key_prefix, scopes, rate_limit_per_minute, daily_upload_bytes, daily_upload_rows,
+  created_at, last_used_at, revoked_at`
+
+/**
+ * Validate the settings of a new API key
+ * @param {Object} input - { name, scopes, rateLimitPerMinute, dailyUploadBytes, dailyUploadRows }
+ *   scopes may be an array or a comma-separated string; quotas may be null for unlimited
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a setting is invalid
+ */
+function normalizeApiKeyOptions(input = {}) {
+  const name = typeof input.name === "string" ? input.name.trim() : ""
+  if (name === "") {
+    throw new Error("API key name is required")
+  }
+
+  const scopes = (Array.isArray(input.scopes) ? input.scopes : String(input.scopes || "").split(","))
+    .map((scope) => String(scope).trim())
+    .filter(Boolean)
+  if (scopes.length === 0) {
+    throw new Error(`At least one scope is required. Use any of: ${API_KEY_SCOPES.join(", ")}`)
+  }
+  const unknownScope = scopes.find((scope) => !API_KEY_SCOPES.includes(scope))
+  if (unknownScope) {
+    throw new Error(`Unknown scope '${unknownScope}'. Use any of: ${API_KEY_SCOPES.join(", ")}`)
+  }
+
+  return {
+    name,
+    scopes: [...new Set(scopes)],
+    rateLimitPerMinute: parseLimit(input.rateLimitPerMinute, "rateLimitPerMinute") ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+    dailyUploadBytes: parseLimit(input.dailyUploadBytes, "dailyUploadBytes"),
+    dailyUploadRows: parseLimit(input.dailyUploadRows, "dailyUploadRows"),
+  }
+}
+
+function parseLimit(value, name) {
+  if (value === undefined || value === null || value === "") return null
+
+  const limit = Number(value)
+  if (!Number.isSafeInteger(limit) || limit < 1) {
+    throw new Error(`Invalid ${name}: expected a positive integer`)
+  }
+  return limit
+}
+
+/**
+ * Create an API key; only its hash is stored
+ * @param {Object} input - Settings for normalizeApiKeyOptions
+ * @returns {Object} { key, apiKey } where key is the secret, shown this one time
+ */
+async function createApiKey(input) {
+  const options = normalizeApiKeyOptions(input)
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url")
+
+  const result = await pool.query(
+    `INSERT INTO public.api_keys
+       (name, key_prefix, key_hash, scopes, rate_limit_per_minute, daily_upload_bytes, daily_upload_rows)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [
+      options.name,
+      key.slice(0, KEY_PREFIX.length + 6),
+      hashApiKey(key),
+      options.scopes,
+      options.rateLimitPerMinute,
+      options.dailyUploadBytes,
+      options.dailyUploadRows,
+    ],
+  )
+
+  return { key, apiKey: result.rows[0] }
+}
+
+/**
+ * @param {Object} [options] - { includeRevoked }
+ * @returns {Array} API keys, newest first
+ */
+async function listApiKeys(options = {}) {
+  const where = options.includeRevoked ? "" : "WHERE revoked_at IS NULL"
+  const result = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM public.api_keys ${where} ORDER BY id DESC`)
+  return result.rows
+}
+
+/**
+ * @param {number} id - API key id
+ * @returns {Object|null} API key, or null if not found
+ */
+async function getApiKey(id) {
+  const result = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM public.api_keys WHERE id = $1`, [id])
+  return result.rows[0] || null
+}
+
+/**
+ * Look up the key a request presented
+ * @param {string} key - Secret from the request
+ * @returns {Object|null} API key (possibly revoked), or null if unknown
+ */
+async function findApiKey(key) {
+  const result = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM public.api_keys WHERE key_hash = $1`, [
+    hashApiKey(key),
+  ])
+  return result.rows[0] || null
+}
+
+/**
+ * @param {number} id - API key id
+ * @returns {Object|null} Revoked key, or null if not found or already revoked
+ */
+async function revokeApiKey(id) {
+  const result = await pool.query(
+    `UPDATE public.api_keys SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${API_KEY_COLUMNS}`,
+    [id],
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Record one request made with a key
+ * @param {Object} entry - { apiKeyId, method, path, status, durationMs, uploadBytes }
+ */
+async function logApiKeyUsage(entry) {
+  await pool.query(
+    `WITH usage AS (
+       INSERT INTO public.api_key_usage (api_key_id, method, path, status, duration_ms, upload_bytes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+     )
+     UPDATE public.api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [entry.apiKeyId, entry.method, entry.path, entry.status, entry.durationMs, entry.uploadBytes || 0],
+  )
+}
+
+/**
+ * Usage of a key since midnight (database time), as counted against its quotas
+ * Upload bytes come from the usage log, rows from the imports the key started
+ * @param {number} id - API key id
+ * @returns {Object} { requests, uploadBytes, uploadRows }
+ */
+async function getDailyUsage(id) {
+  const result = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM public.api_key_usage
+        WHERE api_key_id = $1 AND created_at >= CURRENT_DATE) AS requests,
+       (SELECT COALESCE(SUM(upload_bytes), 0) FROM public.api_key_usage
+        WHERE api_key_id = $1 AND created_at >= CURRENT_DATE) AS upload_bytes,
+       (SELECT COALESCE(SUM(rows_parsed), 0) FROM public.imports
+        WHERE api_key_id = $1 AND started_at >= CURRENT_DATE) AS upload_rows`,
+    [id],
+  )
+  const row = result.rows[0]
+
+  return {
+    requests: Number.parseInt(row.requests),
+    uploadBytes: Number.parseInt(row.upload_bytes),
+    uploadRows: Number.parseInt(row.upload_rows),
+  }
+}
+
+/**
+ * Check an upload against a key's daily quotas
+ * Rows are counted once an import has finished, so an upload of unknown row
+ * count only needs the row quota not to be used up yet
+ * @param {Object} apiKey - API key row
+ * @param {Object} usage - Usage from getDailyUsage
+ * @param {Object} upload - { bytes, rows } the upload adds; rows may be omitted
+ * @returns {string|null} The quota the upload would exceed, or null
+ */
+function findExceededQuota(apiKey, usage, upload) {
+  const bytesLimit = apiKey.daily_upload_bytes === null ? null : Number(apiKey.daily_upload_bytes)
+  const rowsLimit = apiKey.daily_upload_rows === null ? null : Number(apiKey.daily_upload_rows)
+  const rows = upload.rows || 0
+
+  if (bytesLimit !== null && usage.uploadBytes + upload.bytes > bytesLimit) {
+    return `${bytesLimit} bytes (${usage.uploadBytes} used today, this upload is ${upload.bytes})`
+  }
+  if (rowsLimit !== null && (usage.uploadRows >= rowsLimit || usage.uploadRows + rows > rowsLimit)) {
+    const uploadRows = rows ? `, this upload is ${rows}` : ""
+    return `${rowsLimit} rows (${usage.uploadRows} imported today${uploadRows})`
+  }
+  return null
+}
+
+/**
+ * @param {Object} apiKey - API key row
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the key grants the scope
+ */
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || apiKey.scopes.includes("admin")
+}
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  normalizeApiKeyOptions,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  findApiKey,
+  revokeApiKey,
+  logApiKeyUsage,
+  getDailyUsage,
+  findExceededQuota,
+  hasScope,
+}
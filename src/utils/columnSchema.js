@@ -0,0 +1,282 @@
+const COLUMN_TYPES = ["string", "integer", "decimal", "boolean", "date", "any"]
+
+// JSON Schema type names accepted as aliases
+const TYPE_ALIASES = {
+  number: "decimal",
+  float: "decimal",
+  int: "integer",
+  bool: "boolean",
+  text: "string",
+}
+
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+  yes: true,
+  no: false,
+  1: true,
+  0: false,
+}
+
+const DEFAULT_NULL_VALUES = ["", "null", "NULL"]
+
+const ANNOTATION_TYPES = [...COLUMN_TYPES, ...Object.keys(TYPE_ALIASES)]
+const ANNOTATION_MODIFIERS = ["required", "nullable"]
+
+/**
+ * Build a column schema from a JSON Schema-like document
+ * Accepts nested JSON Schema ({ type: "object", properties, required }) as
+ * well as flat dot-path keys ({ properties: { "address.zipCode": { type: "string" } } }).
+ * Array items are addressed with [] so they apply to every index.
+ * @param {Object} document - Parsed schema document
+ * @returns {Object} Column schema ({ columns: Map<path, spec> })
+ */
+function parseSchemaDocument(document) {
+  if (!document || typeof document !== "object" || Array.isArray(document)) {
+    throw new Error("Schema must be a JSON object")
+  }
+
+  const schema = { columns: new Map(), nullValues: document.nullValues || DEFAULT_NULL_VALUES }
+  collectSchemaProperties(document, "", schema)
+
+  if (schema.columns.size === 0) {
+    throw new Error("Schema does not declare any properties")
+  }
+
+  return schema
+}
+
+function collectSchemaProperties(node, prefix, schema) {
+  const properties = node.properties || {}
+  const requiredKeys = Array.isArray(node.required) ? node.required : []
+
+  for (const [key, definition] of Object.entries(properties)) {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+      throw new Error(`Property '${path}' must be declared as a JSON object`)
+    }
+
+    const types = [].concat(definition.type || "any")
+    const nonNullTypes = types.filter((type) => type !== "null")
+
+    if (nonNullTypes[0] === "object") {
+      collectSchemaProperties(definition, path, schema)
+      continue
+    }
+
+    if (nonNullTypes[0] === "array") {
+      const items = definition.items || {}
+      if ([].concat(items.type)[0] === "object") {
+        collectSchemaProperties(items, `${path}[]`, schema)
+      } else {
+        const spec = createSpec(path, { ...items, nullable: definition.nullable }, false)
+        schema.columns.set(normalizeSchemaPath(`${path}[]`), spec)
+      }
+      continue
+    }
+
+    const required = definition.required === true || requiredKeys.includes(key)
+    const nullable = definition.nullable ?? types.includes("null")
+    const spec = createSpec(path, { ...definition, type: nonNullTypes[0], nullable }, required)
+    schema.columns.set(normalizeSchemaPath(path), spec)
+  }
+}
+
+function createSpec(path, definition, required) {
+  let type = [].concat(definition.type || "any").find((candidate) => candidate !== "null") || "any"
+  type = TYPE_ALIASES[type] || type
+
+  // JSON Schema expresses dates as formatted strings
+  if (type === "string" && (definition.format === "date" || definition.format === "date-time")) {
+    type = "date"
+  }
+
+  if (!COLUMN_TYPES.includes(type)) {
+    throw new Error(`Unsupported type '${type}' for '${path}'. Use one of: ${COLUMN_TYPES.join(", ")}`)
+  }
+
+  return {
+    type,
+    required: Boolean(required),
+    nullable: Boolean(definition.nullable),
+    nullValues: definition.nullValues,
+  }
+}
+
+/**
+ * Strip type annotations from headers such as 'address.zipCode:string:required'
+ * Supported modifiers after the type are 'required' and 'nullable'. Only a
+ * trailing known type with its modifiers is an annotation; other colons stay
+ * in the column name, so 'meta.time:utc' is a plain header
+ * @param {Array} headers - Raw header names
+ * @returns {Object} { headers, schema } with clean header names and a column schema (or null)
+ */
+function parseHeaderAnnotations(headers) {
+  const columns = new Map()
+
+  const cleanHeaders = headers.map((header) => {
+    const parts = header.split(":").map((part) => part.trim())
+    const typeIndex = parts.findIndex(
+      (part, i) =>
+        i > 0 &&
+        ANNOTATION_TYPES.includes(part) &&
+        parts.slice(i + 1).every((modifier) => ANNOTATION_MODIFIERS.includes(modifier)),
+    )
+    if (typeIndex === -1) return header
+
+    const path = parts.slice(0, typeIndex).join(":")
+    const [type, ...modifiers] = parts.slice(typeIndex)
+
+    columns.set(
+      normalizeSchemaPath(path.trim()),
+      createSpec(path, { type, nullable: modifiers.includes("nullable") }, modifiers.includes("required")),
+    )
+    return path.trim()
+  })
+
+  return {
+    headers: cleanHeaders,
+    schema: columns.size > 0 ? { columns, nullValues: DEFAULT_NULL_VALUES } : null,
+  }
+}
+
+/**
+ * Combine an uploaded schema with header annotations; annotations win
+ * @param {Object|null} base - Uploaded column schema
+ * @param {Object|null} override - Schema from header annotations
+ * @returns {Object|null} Combined column schema
+ */
+function mergeSchemas(base, override) {
+  if (!base) return override
+  if (!override) return base
+
+  return {
+    columns: new Map([...base.columns, ...override.columns]),
+    nullValues: base.nullValues,
+  }
+}
+
+/**
+ * Replace array indexes with [] so indexed headers match array item specs
+ * @param {string} path - Header or schema path
+ * @returns {string} Normalized path
+ */
+function normalizeSchemaPath(path) {
+  return path.replace(/\[\d+\]/g, "[]")
+}
+
+/**
+ * Look up the spec for every header
+ * @param {Array} headers - Clean header names
+ * @param {Object|null} schema - Column schema
+ * @returns {Array|null} Spec per header (undefined where undeclared), or null without a schema
+ */
+function resolveColumnSpecs(headers, schema) {
+  if (!schema) return null
+
+  return headers.map((header) => {
+    const spec = schema.columns.get(normalizeSchemaPath(header))
+    return spec && { ...spec, nullValues: spec.nullValues || schema.nullValues }
+  })
+}
+
+/**
+ * Find required schema paths that no header provides
+ * @param {Array} headers - Clean header names
+ * @param {Object|null} schema - Column schema
+ * @returns {Array} Missing paths
+ */
+function findMissingRequiredColumns(headers, schema) {
+  if (!schema) return []
+
+  const normalizedHeaders = new Set(headers.map(normalizeSchemaPath))
+  return [...schema.columns]
+    .filter(([path, spec]) => spec.required && !normalizedHeaders.has(path))
+    .map(([path]) => path)
+}
+
+/**
+ * @param {string} value - Raw CSV value
+ * @param {Object} spec - Column spec
+ * @returns {boolean} Whether the value counts as null for this column
+ */
+function isNullValue(value, spec) {
+  return value === "" || (spec.nullable && spec.nullValues.includes(value))
+}
+
+/**
+ * Convert a raw value to its declared type
+ * @param {string} value - Raw CSV value (not null)
+ * @param {Object} spec - Column spec
+ * @returns {*} Typed value
+ * @throws {Error} If the value does not fit the declared type
+ */
+function coerceValue(value, spec) {
+  switch (spec.type) {
+    case "string":
+      return value
+
+    case "integer": {
+      const number = Number(value)
+      if (!/^[+-]?\d+$/.test(value) || !Number.isSafeInteger(number)) {
+        throw new Error(`expected integer, got '${value}'`)
+      }
+      return number
+    }
+
+    case "decimal": {
+      if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value)) {
+        throw new Error(`expected decimal, got '${value}'`)
+      }
+      return Number(value)
+    }
+
+    case "boolean": {
+      const normalized = value.toLowerCase()
+      if (!Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, normalized)) {
+        throw new Error(`expected boolean, got '${value}'`)
+      }
+      return BOOLEAN_VALUES[normalized]
+    }
+
+    case "date": {
+      const isoDate = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      const date = new Date(value)
+      if (
+        !/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) ||
+        Number.isNaN(date.getTime()) ||
+        !isCalendarDate(value)
+      ) {
+        throw new Error(`expected ISO 8601 date, got '${value}'`)
+      }
+      return isoDate ? value : date.toISOString()
+    }
+
+    default:
+      throw new Error(`unsupported type '${spec.type}'`)
+  }
+}
+
+/**
+ * Date rolls impossible days over ('2024-02-30' becomes March 1), so check
+ * that the year, month and day exist as written
+ * @param {string} value - Value starting with YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isCalendarDate(value) {
+  const [year, month, day] = value.slice(0, 10).split("-").map(Number)
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  parseSchemaDocument,
+  parseHeaderAnnotations,
+  mergeSchemas,
+  resolveColumnSpecs,
+  findMissingRequiredColumns,
+  isNullValue,
+  coerceValue,
+}
@@ -0,0 +1,136 @@
+const fs = require("fs")
+const path = require("path")
+const zlib = require("zlib")
+const { Transform, pipeline } = require("stream")
+const yauzl = require("yauzl")
+
+// Total bytes an upload may expand to, however many files it contains
+const MAX_DECOMPRESSED_BYTES = (Number.parseInt(process.env.CSV_MAX_DECOMPRESSED_SIZE_MB) || 2048) * 1024 * 1024
+
+const GZIP_SIGNATURE = Buffer.from([0x1f, 0x8b])
+const ZIP_SIGNATURES = [Buffer.from("PK\x03\x04", "latin1"), Buffer.from("PK\x05\x06", "latin1")]
+const CSV_ENTRY_EXTENSIONS = [".csv", ".tsv"]
+
+class DecompressedSizeError extends Error {
+  constructor(limit) {
+    super(`Decompressed upload exceeds the limit of ${Math.round(limit / 1024 / 1024)}MB`)
+    this.name = "DecompressedSizeError"
+  }
+}
+
+/**
+ * Tell plain CSV from gzip and zip uploads by their first bytes
+ * The extension is not trusted: browsers and tools label archives inconsistently
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {string} "csv", "gzip" or "zip"
+ */
+async function detectUploadFormat(filePath) {
+  const handle = await fs.promises.open(filePath, "r")
+
+  try {
+    const header = Buffer.alloc(4)
+    const { bytesRead } = await handle.read(header, 0, header.length, 0)
+    const start = header.subarray(0, bytesRead)
+
+    if (start.subarray(0, 2).equals(GZIP_SIGNATURE)) return "gzip"
+    if (ZIP_SIGNATURES.some((signature) => start.equals(signature))) return "zip"
+    return "csv"
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * Open the CSV files inside a gzip or zip upload as decompressed streams
+ * Entries are opened one at a time, each only after the consumer has moved
+ * on from the previous one. All entries share one decompressed size budget;
+ * a stream that exceeds it errors with DecompressedSizeError.
+ * @param {string} filePath - Path to the uploaded archive
+ * @param {Object} options - Archive options
+ * @param {string} options.format - "gzip" or "zip" from detectUploadFormat
+ * @param {string} options.fileName - Original name of the upload
+ * @param {number} [options.maxDecompressedBytes] - Size budget (defaults to CSV_MAX_DECOMPRESSED_SIZE_MB)
+ * @returns {AsyncGenerator<Object>} { fileName, input, fileSize } per CSV file, or
+ *   { fileName, skipped } for archive entries that are not imported
+ * @throws {DecompressedSizeError} If a zip declares more than the budget up front
+ */
+async function* openArchiveEntries(filePath, options) {
+  const budget = { limit: options.maxDecompressedBytes || MAX_DECOMPRESSED_BYTES, used: 0 }
+
+  if (options.format === "gzip") {
+    // A gzip file holds a single CSV: sales.csv.gz → sales.csv
+    yield {
+      fileName: options.fileName.replace(/\.gz$/i, ""),
+      input: limitStream(pipeline(fs.createReadStream(filePath), zlib.createGunzip(), noop), budget),
+      fileSize: fs.statSync(filePath).size,
+    }
+    return
+  }
+
+  const zipfile = await yauzl.openPromise(filePath, { lazyEntries: true, autoClose: false })
+
+  try {
+    const entries = []
+    for await (const entry of zipfile.eachEntry()) {
+      // Skip directories and the metadata macOS adds to archives
+      if (entry.fileName.endsWith("/") || entry.fileName.startsWith("__MACOSX/")) continue
+      if (path.posix.basename(entry.fileName).startsWith("._")) continue
+      entries.push(entry)
+    }
+
+    // Sizes in the central directory can be checked before anything is inflated;
+    // yauzl also verifies that each entry really has its declared size
+    const declaredSize = entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0)
+    if (declaredSize > budget.limit) {
+      throw new DecompressedSizeError(budget.limit)
+    }
+
+    for (const entry of entries) {
+      const extension = path.posix.extname(entry.fileName).toLowerCase()
+      if (!CSV_ENTRY_EXTENSIONS.includes(extension)) {
+        yield { fileName: entry.fileName, skipped: "not a CSV file" }
+        continue
+      }
+      if (entry.isEncrypted()) {
+        yield { fileName: entry.fileName, skipped: "encrypted entries are not supported" }
+        continue
+      }
+
+      const stream = await zipfile.openReadStreamPromise(entry)
+      yield { fileName: entry.fileName, input: limitStream(stream, budget), fileSize: entry.uncompressedSize }
+    }
+  } finally {
+    zipfile.close()
+  }
+}
+
+/**
+ * Pass a decompressed stream through while counting its bytes against a budget
+ * @param {Readable} stream - Decompressed data
+ * @param {Object} budget - { limit, used } shared by every entry of an upload
+ * @returns {Readable} Stream that errors once the budget is exceeded
+ */
+function limitStream(stream, budget) {
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      budget.used += chunk.length
+      if (budget.used > budget.limit) {
+        callback(new DecompressedSizeError(budget.limit))
+      } else {
+        callback(null, chunk)
+      }
+    },
+  })
+
+  return pipeline(stream, limiter, noop)
+}
+
+// Errors reach the consumer through the returned stream
+function noop() {}
+
+module.exports = {
+  MAX_DECOMPRESSED_BYTES,
+  DecompressedSizeError,
+  detectUploadFormat,
+  openArchiveEntries,
+}
@@ -0,0 +1,33 @@
+const COPY_ESCAPES = {
+  "\\": "\\\\",
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+}
+
+/**
+ * Format a value for PostgreSQL's COPY text format
+ * Backslashes and the characters COPY treats as row and column separators are
+ * escaped, so JSON documents (which contain backslash escapes of their own)
+ * arrive in the table unchanged
+ * @param {*} value - Column value; objects must already be serialized to JSON text
+ * @returns {string} COPY field
+ */
+function formatCopyValue(value) {
+  if (value === null || value === undefined) return "\\N"
+
+  return String(value).replace(/[\\\n\r\t]/g, (character) => COPY_ESCAPES[character])
+}
+
+/**
+ * @param {Array} values - Column values in COPY column order
+ * @returns {string} COPY line including the line break
+ */
+function formatCopyRow(values) {
+  return values.map(formatCopyValue).join("\t") + "\n"
+}
+
+module.exports = {
+  formatCopyValue,
+  formatCopyRow,
+}
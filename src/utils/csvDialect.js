@@ -0,0 +1,171 @@
+const CSVLineSplitter = require("./csvLineSplitter")
+
+const DEFAULT_DIALECT = {
+  delimiter: ",",
+  quote: '"',
+  escape: '"',
+  encoding: "utf-8",
+  trimHeaders: true,
+}
+
+// Bytes read from the start of the file to detect the dialect
+const SAMPLE_SIZE = 64 * 1024
+const SAMPLE_LINES = 20
+
+const DELIMITER_CANDIDATES = [",", ";", "\t", "|"]
+
+const CHARACTER_NAMES = {
+  comma: ",",
+  semicolon: ";",
+  tab: "\t",
+  "\\t": "\t",
+  pipe: "|",
+  space: " ",
+  doublequote: '"',
+  singlequote: "'",
+  backslash: "\\",
+}
+
+/**
+ * Validate dialect options supplied with an upload
+ * Unset options are left undefined so they can be auto-detected
+ * @param {Object} options - Raw options ({ delimiter, quote, escape, encoding, trimHeaders })
+ * @returns {Object} Normalized options
+ */
+function normalizeDialectOptions(options = {}) {
+  const normalized = {}
+
+  for (const field of ["delimiter", "quote", "escape"]) {
+    if (options[field] === undefined || options[field] === "") continue
+
+    const value = CHARACTER_NAMES[String(options[field]).toLowerCase()] || String(options[field])
+    if (value.length !== 1) {
+      throw new Error(`Invalid ${field} '${options[field]}'. Use a single character or a name such as 'tab'.`)
+    }
+    normalized[field] = value
+  }
+
+  if (options.encoding) {
+    try {
+      normalized.encoding = new TextDecoder(options.encoding).encoding
+    } catch (error) {
+      throw new Error(`Unsupported encoding '${options.encoding}'`)
+    }
+  }
+
+  if (options.trimHeaders !== undefined && options.trimHeaders !== "") {
+    normalized.trimHeaders = options.trimHeaders === true || String(options.trimHeaders).toLowerCase() === "true"
+  }
+
+  if (normalized.delimiter && normalized.delimiter === normalized.quote) {
+    throw new Error("Delimiter and quote character must differ")
+  }
+
+  return normalized
+}
+
+/**
+ * Detect the text encoding of a file from its first bytes
+ * Looks for a byte order mark, then for UTF-16 null byte patterns, then
+ * falls back to latin1 when the sample is not valid UTF-8
+ * @param {Buffer} sample - First bytes of the file
+ * @returns {string} Encoding label
+ */
+function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return "utf-8"
+  if (sample[0] === 0xff && sample[1] === 0xfe) return "utf-16le"
+  if (sample[0] === 0xfe && sample[1] === 0xff) return "utf-16be"
+
+  // ASCII text encoded as UTF-16 has a null byte in every other position
+  let evenNulls = 0
+  let oddNulls = 0
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenNulls++
+      else oddNulls++
+    }
+  }
+  if (oddNulls > sample.length / 4) return "utf-16le"
+  if (evenNulls > sample.length / 4) return "utf-16be"
+
+  try {
+    // Streaming mode tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true })
+    return "utf-8"
+  } catch (error) {
+    return "windows-1252" // latin1
+  }
+}
+
+/**
+ * Detect the field delimiter from the first lines of decoded text
+ * Picks the candidate that splits the header into several fields and gives
+ * the most data lines the same field count as the header
+ * @param {string} sampleText - Decoded start of the file
+ * @param {Object} dialect - Dialect providing quote and escape characters
+ * @param {Function} splitRow - (line, dialect) => fields
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(sampleText, dialect, splitRow) {
+  const splitter = new CSVLineSplitter(dialect)
+  const lines = splitter.push(sampleText).slice(0, SAMPLE_LINES)
+
+  // The last line of a sample may be cut off, so only use it when it is the whole file
+  if (lines.length === 0) {
+    lines.push(...splitter.flush())
+  }
+
+  let best = { delimiter: DEFAULT_DIALECT.delimiter, score: 0, fields: 1 }
+
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const candidate = { ...dialect, delimiter }
+    const counts = lines.map(({ line }) => splitRow(line, candidate).length)
+    const headerFields = counts[0] || 1
+    if (headerFields < 2) continue
+
+    const consistentLines = counts.filter((count) => count === headerFields).length
+    const score = consistentLines / counts.length
+
+    if (score > best.score || (score === best.score && headerFields > best.fields)) {
+      best = { delimiter, score, fields: headerFields }
+    }
+  }
+
+  return best.delimiter
+}
+
+/**
+ * Resolve the full dialect for a file from explicit options and a sample
+ * Explicit options always win; anything left unset is detected
+ * @param {Buffer} sample - First bytes of the file
+ * @param {Object} options - Normalized dialect options
+ * @param {Function} splitRow - (line, dialect) => fields
+ * @returns {Object} Complete dialect
+ */
+function resolveDialect(sample, options, splitRow) {
+  const dialect = {
+    ...DEFAULT_DIALECT,
+    encoding: options.encoding || detectEncoding(sample),
+    trimHeaders: options.trimHeaders ?? DEFAULT_DIALECT.trimHeaders,
+  }
+  dialect.quote = options.quote || DEFAULT_DIALECT.quote
+  dialect.escape = options.escape || dialect.quote
+
+  if (options.delimiter) {
+    dialect.delimiter = options.delimiter
+  } else {
+    const sampleText = new TextDecoder(dialect.encoding).decode(sample, { stream: true })
+    dialect.delimiter = detectDelimiter(sampleText, dialect, splitRow)
+  }
+
+  return dialect
+}
+
+module.exports = {
+  DEFAULT_DIALECT,
+  SAMPLE_SIZE,
+  normalizeDialectOptions,
+  detectEncoding,
+  detectDelimiter,
+  resolveDialect,
+}
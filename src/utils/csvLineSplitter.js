@@ -0,0 +1,97 @@
+// Longest logical line (in characters) held in memory; an unbalanced quote would otherwise swallow the file
+const MAX_LINE_LENGTH = Number.parseInt(process.env.CSV_MAX_LINE_LENGTH) || 1024 * 1024
+
+/**
+ * Incremental CSV line splitter
+ * Accepts the CSV content chunk by chunk and emits complete logical lines,
+ * so quoted fields containing newlines survive chunk boundaries
+ */
+class CSVLineSplitter {
+  /**
+   * @param {Object} [dialect] - Quote and escape characters ({ quote, escape })
+   * @param {Object} [options] - { maxLineLength } in characters (defaults to CSV_MAX_LINE_LENGTH)
+   */
+  constructor(dialect = {}, options = {}) {
+    this.maxLineLength = options.maxLineLength || MAX_LINE_LENGTH
+    this.quote = dialect.quote || '"'
+    this.escape = dialect.escape || this.quote
+    this.currentLine = ""
+    this.insideQuotes = false
+    this.escapeNext = false
+    this.lineNumber = 1 // Physical line currently being read
+    this.lineStart = 1 // Physical line where the current logical line started
+  }
+
+  /**
+   * Feed the next chunk of CSV content
+   * @param {string} chunk - Decoded CSV content
+   * @returns {Array} Completed lines as { line, lineNumber }
+   * @throws {Error} If a logical line grows past maxLineLength
+   */
+  push(chunk) {
+    const lines = []
+    const chunkLength = chunk.length
+    let sliceStart = 0
+
+    for (let i = 0; i < chunkLength; i++) {
+      const char = chunk[i]
+
+      if (this.escapeNext) {
+        // Character after a non-quote escape character is always literal
+        this.escapeNext = false
+        if (char === "\n") this.lineNumber++
+      } else if (char === this.escape && this.escape !== this.quote && this.insideQuotes) {
+        this.escapeNext = true
+      } else if (char === this.quote) {
+        // An escaped quote ("") toggles twice, which leaves the state unchanged
+        this.insideQuotes = !this.insideQuotes
+      } else if (char === "\n") {
+        if (!this.insideQuotes) {
+          this.currentLine += chunk.slice(sliceStart, i)
+          this.checkLineLength()
+          this.emitLine(lines)
+          sliceStart = i + 1
+          this.lineStart = this.lineNumber + 1
+        }
+        this.lineNumber++
+      }
+    }
+
+    this.currentLine += chunk.slice(sliceStart)
+    this.checkLineLength()
+    return lines
+  }
+
+  checkLineLength() {
+    if (this.currentLine.length <= this.maxLineLength) return
+
+    const hint = this.insideQuotes ? "; check for an unbalanced quote" : ""
+    throw new Error(`Line ${this.lineStart} is longer than ${this.maxLineLength} characters${hint}`)
+  }
+
+  /**
+   * Emit whatever remains once the input has ended
+   * @returns {Array} Remaining line as { line, lineNumber }, if any
+   */
+  flush() {
+    const lines = []
+    this.emitLine(lines)
+    return lines
+  }
+
+  emitLine(lines) {
+    let line = this.currentLine
+    this.currentLine = ""
+
+    // Windows line ending
+    if (line.endsWith("\r")) {
+      line = line.slice(0, -1)
+    }
+
+    if (line.trim() !== "") {
+      lines.push({ line, lineNumber: this.lineStart })
+    }
+  }
+}
+
+module.exports = CSVLineSplitter
@@ -1,34 +1,218 @@
 const fs = require("fs")
+const CSVLineSplitter = require("./csvLineSplitter")
+const logger = require("./logger")
+const { DEFAULT_DIALECT, SAMPLE_SIZE, resolveDialect } = require("./csvDialect")
+const {
+  parseHeaderAnnotations,
+  mergeSchemas,
+  resolveColumnSpecs,
+  findMissingRequiredColumns,
+  isNullValue,
+  coerceValue,
+} = require("./columnSchema")
+
+// Header fields the default (users) mapping profile requires
+const DEFAULT_MANDATORY_FIELDS = ["name.firstName", "name.lastName", "age"]
+
+// Highest array index a header may use ('contact.phones[1000].number')
+const MAX_ARRAY_INDEX = 1000
+// Keys that would reach Object.prototype instead of setting a property
+const RESERVED_KEYS = ["__proto__", "constructor", "prototype"]
+// Parsed header paths kept across files; the least recently used are dropped first
+const MAX_PATH_CACHE_SIZE = 1000
 
 class CSVParser {
+  constructor() {
+    this.pathCache = new Map() // Parsed property paths by header name, in least recently used order
+    this.repeatedHeaderCache = new WeakMap() // Repeated header names by header array
+    this.arrayIndexes = new WeakMap() // Sorted indexes set so far, by array built from indexed paths
+  }
+
   /**
    * Parse CSV file and convert to JSON with nested object support
-   * Optimized for large files (50k+ records)
+   * Collects every record in memory; prefer parseCSVStream for large files
    * @param {string} filePath - Path to CSV file
    * @returns {Array} Array of JSON objects
    */
   async parseCSVFile(filePath) {
-    return new Promise((resolve, reject) => {
-      try {
-        console.log("Starting CSV file parsing...")
-        const csvContent = fs.readFileSync(filePath, "utf8")
-        const jsonData = this.parseCSVContent(csvContent)
-        console.log(`CSV parsing completed. Processed ${jsonData.length} records.`)
-        resolve(jsonData)
-      } catch (error) {
-        reject(error)
+    logger.info("Starting CSV file parsing...", { filePath })
+    const jsonData = []
+
+    for await (const record of this.parseCSVStream(filePath)) {
+      jsonData.push(record)
+    }
+
+    logger.info(`CSV parsing completed. Processed ${jsonData.length} records.`, { records: jsonData.length })
+    return jsonData
+  }
+
+  /**
+   * Stream nested JSON records out of a CSV file one at a time
+   * Memory use stays flat regardless of file size; the source is only read
+   * as fast as the consumer pulls records
+   * @param {string|Readable} input - Path to CSV file or a readable stream
+   * @param {Object} [options] - Parsing options
+   * @param {Object} [options.dialect] - Delimiter, quote, escape, encoding and trimHeaders; unset values are detected
+   * @param {ParseReport} [options.report] - Receives header problems and accepted/rejected rows
+   * @param {Object} [options.schema] - Column schema from columnSchema.parseSchemaDocument
+   * @param {boolean} [options.validateOnly] - Record header errors in the report instead of throwing
+   * @param {Array} [options.mandatoryFields] - Header fields that must be present (defaults to the users fields)
+   * @param {RecordValidator} [options.validator] - Validation rules every record is checked against
+   * @param {boolean} [options.flat] - Keep header names as record keys instead of nesting dot-notation paths
+   * @param {boolean} [options.inferTypes] - Convert untyped values to numbers and booleans (default true)
+   * @param {Function} [options.onRowSkipped] - Called as (lineNumber, reason, line) for every skipped row;
+   *   a returned promise is awaited before the next row is parsed
+   * @param {Function} [options.onHeaderRow] - Called with the raw header line before it is parsed
+   * @returns {AsyncGenerator<Object>} Nested JSON objects
+   */
+  async *parseCSVStream(input, options = {}) {
+    let headers = null
+    let columnSpecs = null
+    let dataLines = 0
+    let processedRows = 0
+
+    // Keep what onRowSkipped returns, so callers writing skipped rows out can hold the parser back
+    const onRowSkipped = options.onRowSkipped
+    let skippedRowResult = null
+    const source = await this.openCSVSource(input, options.dialect)
+    options = { ...options, dialect: source.dialect }
+    if (onRowSkipped) {
+      options.onRowSkipped = (...args) => {
+        skippedRowResult = onRowSkipped(...args)
       }
-    })
+    }
+    if (options.report) {
+      options.report.setDialect(source.dialect)
+    }
+
+    for await (const { line, lineNumber } of source.lines) {
+      // First line is always labels for properties (as per requirement)
+      if (!headers) {
+        if (options.onHeaderRow) {
+          options.onHeaderRow(line)
+        }
+        ;({ headers, columnSpecs } = this.parseHeaderRow(line, options))
+        options = { ...options, columnSpecs }
+        continue
+      }
+
+      dataLines++
+      const jsonObject = this.parseDataRow(headers, line, lineNumber, options)
+      if (!jsonObject) {
+        if (skippedRowResult instanceof Promise) {
+          await skippedRowResult
+        }
+        skippedRowResult = null
+        continue
+      }
+
+      processedRows++
+
+      // Progress logging for large files
+      if (processedRows % 10000 === 0) {
+        logger.info(`Processed ${processedRows} rows...`, { processedRows })
+      }
+
+      yield jsonObject
+    }
+
+    if (!headers) {
+      throw new Error("CSV file is empty")
+    }
+
+    if (dataLines === 0) {
+      throw new Error("CSV file must have at least a header row and one data row")
+    }
+
+    logger.info(`Successfully processed ${processedRows} data rows`, { processedRows, dataLines })
+  }
+
+  /**
+   * Open a CSV file or stream and resolve its dialect from the first bytes
+   * Only a small sample is read up front; the rest is read as lines are consumed
+   * @param {string|Readable} input - Path to CSV file or a readable stream
+   * @param {Object} [dialectOptions] - Explicit dialect options
+   * @returns {Object} { dialect, lines } where lines yields { line, lineNumber }
+   */
+  async openCSVSource(input, dialectOptions = {}) {
+    const stream = typeof input === "string" ? fs.createReadStream(input) : input
+    const iterator = stream[Symbol.asyncIterator]()
+
+    const sampleChunks = []
+    let sampleSize = 0
+    let ended = false
+
+    while (sampleSize < SAMPLE_SIZE) {
+      const { value, done } = await iterator.next()
+      if (done) {
+        ended = true
+        break
+      }
+
+      const chunk = typeof value === "string" ? Buffer.from(value) : value
+      sampleChunks.push(chunk)
+      sampleSize += chunk.length
+    }
+
+    const sample = Buffer.concat(sampleChunks)
+    const dialect = resolveDialect(sample, dialectOptions, (line, candidate) => this.parseCSVRow(line, candidate))
+
+    return { dialect, lines: this.readCSVLines(sample, ended ? null : iterator, dialect) }
+  }
+
+  /**
+   * Decode and split the rest of a source into logical CSV lines
+   * @param {Buffer} sample - Bytes already read by openCSVSource
+   * @param {AsyncIterator|null} iterator - Remaining chunks, or null if the sample was the whole input
+   * @param {Object} dialect - Resolved dialect
+   * @returns {AsyncGenerator<Object>} Lines as { line, lineNumber }
+   */
+  async *readCSVLines(sample, iterator, dialect) {
+    // TextDecoder strips a leading byte order mark
+    const decoder = new TextDecoder(dialect.encoding)
+    const splitter = new CSVLineSplitter(dialect)
+    let finished = iterator === null
+
+    try {
+      yield* splitter.push(decoder.decode(sample, { stream: true }))
+
+      while (!finished) {
+        const { value, done } = await iterator.next()
+        if (done) {
+          finished = true
+          break
+        }
+
+        const chunk = typeof value === "string" ? Buffer.from(value) : value
+        yield* splitter.push(decoder.decode(chunk, { stream: true }))
+      }
+
+      yield* splitter.push(decoder.decode())
+      yield* splitter.flush()
+    } finally {
+      // Release the underlying stream if the consumer stopped early
+      if (!finished && iterator.return) {
+        await iterator.return()
+      }
+    }
   }
 
   /**
    * Parse CSV content string to JSON
    * Handles first line as labels (headers) requirement
    * @param {string} csvContent - CSV content as string
+   * @param {Object} [dialectOptions] - Explicit dialect options; unset values are detected
    * @returns {Array} Array of JSON objects
    */
-  parseCSVContent(csvContent) {
-    const lines = this.splitCSVLines(csvContent)
+  parseCSVContent(csvContent, dialectOptions = {}) {
+    const content = csvContent.replace(/^\uFEFF/, "")
+    const dialect = resolveDialect(Buffer.from(content.slice(0, SAMPLE_SIZE)), dialectOptions, (line, candidate) =>
+      this.parseCSVRow(line, candidate),
+    )
+    let options = { dialect }
+
+    const splitter = new CSVLineSplitter(dialect)
+    const lines = [...splitter.push(content), ...splitter.flush()]
 
     if (lines.length < 1) {
       throw new Error("CSV file is empty")
@@ -38,49 +222,211 @@ class CSVParser {
       throw new Error("CSV file must have at least a header row and one data row")
     }
 
-    // First line is always labels for properties (as per requirement)
-    const headers = this.parseCSVRow(lines[0])
-    console.log(`Found ${headers.length} columns in header row`)
-
-    // Validate mandatory fields
-    this.validateMandatoryFields(headers)
-
-    // Validate that sub-properties are grouped together
-    this.validatePropertyGrouping(headers)
-
+    const { headers, columnSpecs } = this.parseHeaderRow(lines[0].line, options)
+    options = { ...options, columnSpecs }
     const jsonData = []
-    let processedRows = 0
 
     // Parse data rows (starting from line 1, since line 0 is headers)
     for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim() === "") continue // Skip empty lines
+      const jsonObject = this.parseDataRow(headers, lines[i].line, lines[i].lineNumber, options)
 
-      const values = this.parseCSVRow(lines[i])
+      if (jsonObject) {
+        jsonData.push(jsonObject)
 
-      if (values.length !== headers.length) {
-        console.warn(
-          `Row ${i + 1}: Column count mismatch. Expected ${headers.length}, got ${values.length}. Skipping row.`,
-        )
-        continue
+        // Progress logging for large files
+        if (jsonData.length % 10000 === 0) {
+          logger.info(`Processed ${jsonData.length} rows...`, { processedRows: jsonData.length })
+        }
       }
+    }
 
-      try {
-        const jsonObject = this.createNestedObject(headers, values)
-        jsonData.push(jsonObject)
-        processedRows++
+    logger.info(`Successfully processed ${jsonData.length} data rows`, { processedRows: jsonData.length })
+    return jsonData
+  }
 
-        // Progress logging for large files
-        if (processedRows % 10000 === 0) {
-          console.log(`Processed ${processedRows} rows...`)
+  /**
+   * Parse and validate the header row
+   * Type annotations ('address.zipCode:string') are stripped from the header
+   * names and merged over the uploaded schema
+   * @param {string} line - Header line
+   * @param {Object} [options] - Parsing options (see parseCSVStream)
+   * @returns {Object} { headers, columnSpecs } with header names and the type spec per column
+   */
+  parseHeaderRow(line, options = {}) {
+    const dialect = options.dialect || DEFAULT_DIALECT
+    const rawHeaders = this.parseCSVRow(line.replace(/^\uFEFF/, ""), dialect, dialect.trimHeaders)
+    const { headers, schema: annotatedSchema } = parseHeaderAnnotations(rawHeaders)
+    const schema = mergeSchemas(options.schema || null, annotatedSchema)
+    logger.info(`Found ${headers.length} columns in header row`, { columns: headers.length })
+
+    if (options.report) {
+      this.findHeaderProblems(headers, schema, options.mandatoryFields).forEach((problem) =>
+        options.report.addHeaderProblem(problem),
+      )
+    }
+
+    if (!options.validateOnly) {
+      // Validate mandatory fields
+      this.validateMandatoryFields(headers, options.mandatoryFields)
+
+      // Validate that every column the schema requires is present
+      const missingColumns = findMissingRequiredColumns(headers, schema)
+      if (missingColumns.length > 0) {
+        throw new Error(`Missing required columns declared in schema: ${missingColumns.join(", ")}`)
+      }
+
+      // Validate that sub-properties are grouped together, which only matters when nesting them
+      if (!options.flat) {
+        this.validatePropertyGrouping(headers)
+      }
+    }
+
+    return { headers, columnSpecs: resolveColumnSpecs(headers, schema) }
+  }
+
+  /**
+   * Collect every problem with the header row without throwing
+   * @param {Array} headers - Array of header names
+   * @param {Object} [schema] - Column schema
+   * @param {Array} [mandatoryFields] - Header fields that must be present
+   * @returns {Array} Problems as { type, severity, message, columns }
+   */
+  findHeaderProblems(headers, schema = null, mandatoryFields = DEFAULT_MANDATORY_FIELDS) {
+    const problems = []
+
+    const missingColumns = findMissingRequiredColumns(headers, schema)
+    if (missingColumns.length > 0) {
+      problems.push({
+        type: "missing_required_columns",
+        severity: "error",
+        message: `Missing required columns declared in schema: ${missingColumns.join(", ")}`,
+        columns: missingColumns,
+      })
+    }
+
+    const missingFields = this.findMissingMandatoryFields(headers, mandatoryFields)
+    if (missingFields.length > 0) {
+      problems.push({
+        type: "missing_mandatory_fields",
+        severity: "error",
+        message: `Missing mandatory fields: ${missingFields.join(", ")}`,
+        columns: missingFields,
+      })
+    }
+
+    headers.forEach((header, index) => {
+      if (header === "") {
+        problems.push({
+          type: "empty_header",
+          severity: "warning",
+          message: `Column ${index + 1} has no header and will be ignored`,
+          columns: [index + 1],
+        })
+      } else {
+        try {
+          this.parsePropertyPath(header)
+        } catch (error) {
+          problems.push({
+            type: "invalid_property_path",
+            severity: "error",
+            message: `${error.message} (column ${index + 1})`,
+            columns: [header],
+          })
         }
+      }
+    })
+
+    for (const rootProperty of this.findUngroupedProperties(headers)) {
+      problems.push({
+        type: "ungrouped_properties",
+        severity: "warning",
+        message: `Sub-properties of '${rootProperty}' are not grouped together`,
+        columns: headers.filter((header) => this.getRootProperty(header) === rootProperty),
+      })
+    }
+
+    return problems
+  }
+
+  /**
+   * Convert one data line into a nested object
+   * Malformed rows are logged and skipped
+   * @param {Array} headers - Array of header names
+   * @param {string} line - Data line
+   * @param {number} lineNumber - Line number in the source file
+   * @param {Object} [options] - Parsing options (see parseCSVStream)
+   * @returns {Object|null} Nested JSON object, or null if the row was skipped
+   */
+  parseDataRow(headers, line, lineNumber, options = {}) {
+    const values = this.parseCSVRow(line, options.dialect)
+    let jsonObject = null
+    let reason = null
+
+    if (values.length !== headers.length) {
+      reason = `Column count mismatch. Expected ${headers.length}, got ${values.length}`
+    } else {
+      try {
+        jsonObject = this.createNestedObject(headers, values, options.columnSpecs, options)
       } catch (error) {
-        console.warn(`Row ${i + 1}: Error creating object - ${error.message}. Skipping row.`)
-        continue
+        reason = error.violations ? error.message : `Error creating object - ${error.message}`
       }
     }
 
-    console.log(`Successfully processed ${processedRows} data rows`)
-    return jsonData
+    if (jsonObject && options.validator) {
+      reason = this.applyValidationRules(jsonObject, lineNumber, options)
+    }
+
+    if (reason === null) {
+      if (options.report) {
+        options.report.acceptRow()
+      }
+      return jsonObject
+    }
+
+    logger.warn(`Line ${lineNumber}: ${reason}. Skipping row.`, { line: lineNumber, reason })
+    if (options.report) {
+      options.report.rejectRow(lineNumber, reason, line)
+    }
+    if (options.onRowSkipped) {
+      options.onRowSkipped(lineNumber, reason, line)
+    }
+    return null
+  }
+
+  /**
+   * Check a parsed record against the validator's rules
+   * Warnings are reported and the record is kept; a violation of a rule with
+   * the fail policy aborts the parse, or rejects the row when only validating
+   * @param {Object} record - Nested record
+   * @param {number} lineNumber - Line number where the row starts
+   * @param {Object} options - Parsing options (see parseCSVStream)
+   * @returns {string|null} Why the row is rejected, or null to keep it
+   * @throws {Error} If a fail-policy rule is violated
+   */
+  applyValidationRules(record, lineNumber, options) {
+    const violations = options.validator.validate(record)
+    if (violations.length === 0) return null
+
+    if (options.report) {
+      options.report.addRuleViolations(lineNumber, violations)
+    }
+
+    const failure = violations.find((violation) => violation.policy === "fail")
+    if (failure && !options.validateOnly) {
+      throw new Error(`Line ${lineNumber}: ${failure.message} (rule '${failure.rule}' fails the import)`)
+    }
+
+    for (const violation of violations.filter((violation) => violation.policy === "warn")) {
+      logger.warn(`Line ${lineNumber}: ${violation.message} (rule '${violation.rule}'). Keeping row.`, {
+        line: lineNumber,
+        rule: violation.rule,
+      })
+    }
+
+    const rejections = violations
+      .filter((violation) => violation.policy !== "warn")
+      .map((violation) => violation.message)
+    return rejections.length > 0 ? `Rule violations - ${rejections.join("; ")}` : null
   }
 
   /**
@@ -89,11 +435,26 @@ class CSVParser {
    * @param {Array} headers - Array of header names
    */
   validatePropertyGrouping(headers) {
+    for (const rootProperty of this.findUngroupedProperties(headers)) {
+      logger.warn(
+        `Warning: Sub-properties of '${rootProperty}' are not grouped together. This may affect data integrity.`,
+        { property: rootProperty },
+      )
+    }
+  }
+
+  /**
+   * Find root properties whose sub-property columns are not adjacent
+   * @param {Array} headers - Array of header names
+   * @returns {Array} Root property names
+   */
+  findUngroupedProperties(headers) {
     const propertyGroups = new Map()
+    const ungrouped = []
 
     // Group headers by their root property
     headers.forEach((header, index) => {
-      const rootProperty = header.split(".")[0]
+      const rootProperty = this.getRootProperty(header)
       if (!propertyGroups.has(rootProperty)) {
         propertyGroups.set(rootProperty, [])
       }
@@ -114,102 +475,90 @@ class CSVParser {
         const areConsecutive = expectedIndices.every((expected, i) => expected === actualIndices[i])
 
         if (!areConsecutive) {
-          console.warn(
-            `Warning: Sub-properties of '${rootProperty}' are not grouped together. This may affect data integrity.`,
-          )
+          ungrouped.push(rootProperty)
         }
       }
     }
+
+    return ungrouped
   }
 
   /**
    * Split CSV content into lines, handling quoted fields with newlines
-   * Optimized for large files
    * @param {string} csvContent - CSV content
+   * @param {Object} [dialect] - Quote and escape characters
    * @returns {Array} Array of lines
    */
-  splitCSVLines(csvContent) {
-    const lines = []
-    let currentLine = ""
-    let insideQuotes = false
-    const contentLength = csvContent.length
-
-    for (let i = 0; i < contentLength; i++) {
-      const char = csvContent[i]
-      const nextChar = csvContent[i + 1]
-
-      if (char === '"') {
-        if (insideQuotes && nextChar === '"') {
-          // Escaped quote
-          currentLine += '""'
-          i++ // Skip next quote
-        } else {
-          // Toggle quote state
-          insideQuotes = !insideQuotes
-          currentLine += char
-        }
-      } else if (char === "\n" && !insideQuotes) {
-        // End of line
-        if (currentLine.trim() !== "") {
-          lines.push(currentLine)
-        }
-        currentLine = ""
-      } else if (char === "\r" && nextChar === "\n" && !insideQuotes) {
-        // Windows line ending
-        if (currentLine.trim() !== "") {
-          lines.push(currentLine)
-        }
-        currentLine = ""
-        i++ // Skip \n
-      } else {
-        currentLine += char
-      }
-    }
-
-    // Add last line if exists
-    if (currentLine.trim() !== "") {
-      lines.push(currentLine)
-    }
-
-    return lines
+  splitCSVLines(csvContent, dialect = DEFAULT_DIALECT) {
+    const splitter = new CSVLineSplitter(dialect)
+    return [...splitter.push(csvContent), ...splitter.flush()].map(({ line }) => line)
   }
 
   /**
    * Parse a single CSV row into array of values
    * Handles quoted fields and escaped quotes
    * @param {string} row - CSV row string
+   * @param {Object} [dialect] - Delimiter, quote and escape characters
+   * @param {boolean} [trim] - Trim whitespace around values; whitespace inside quotes is kept
    * @returns {Array} Array of values
    */
-  parseCSVRow(row) {
+  parseCSVRow(row, dialect = DEFAULT_DIALECT, trim = true) {
+    const { delimiter, quote } = dialect
+    const escape = dialect.escape || quote
     const values = []
     let currentValue = ""
     let insideQuotes = false
+    // Where the quoted part of the current value starts and ends, so only the unquoted edges are trimmed
+    let quotedStart = null
+    let quotedEnd = null
     const rowLength = row.length
+    const pushValue = () => {
+      if (!trim) {
+        values.push(currentValue)
+      } else if (quotedStart === null) {
+        values.push(currentValue.trim())
+      } else {
+        values.push(
+          currentValue.slice(0, quotedStart).trimStart() +
+            currentValue.slice(quotedStart, quotedEnd) +
+            currentValue.slice(quotedEnd).trimEnd(),
+        )
+      }
+      currentValue = ""
+      quotedStart = null
+      quotedEnd = null
+    }
 
     for (let i = 0; i < rowLength; i++) {
       const char = row[i]
       const nextChar = row[i + 1]
 
-      if (char === '"') {
-        if (insideQuotes && nextChar === '"') {
+      if (char === escape && escape !== quote && insideQuotes && i + 1 < rowLength) {
+        // Escape character (e.g. backslash) makes the next character literal
+        currentValue += nextChar
+        i++
+      } else if (char === quote) {
+        if (insideQuotes && nextChar === quote) {
           // Escaped quote
-          currentValue += '"'
+          currentValue += quote
           i++ // Skip next quote
         } else {
           // Toggle quote state
           insideQuotes = !insideQuotes
+          if (insideQuotes && quotedStart === null) quotedStart = currentValue.length
+          if (!insideQuotes) quotedEnd = currentValue.length
         }
-      } else if (char === "," && !insideQuotes) {
+      } else if (char === delimiter && !insideQuotes) {
         // Field separator
-        values.push(currentValue.trim())
-        currentValue = ""
+        pushValue()
       } else {
         currentValue += char
       }
     }
 
-    // Add last value
-    values.push(currentValue.trim())
+    // Add last value (an unclosed quote runs to the end of the row)
+    if (insideQuotes) quotedEnd = currentValue.length
+    pushValue()
 
     return values
   }
@@ -217,10 +566,10 @@ class CSVParser {
   /**
    * Validate that mandatory fields are present in headers
    * @param {Array} headers - Array of header names
+   * @param {Array} [mandatoryFields] - Header fields that must be present
    */
-  validateMandatoryFields(headers) {
-    const mandatoryFields = ["name.firstName", "name.lastName", "age"]
-    const missingFields = mandatoryFields.filter((field) => !headers.includes(field))
+  validateMandatoryFields(headers, mandatoryFields = DEFAULT_MANDATORY_FIELDS) {
+    const missingFields = this.findMissingMandatoryFields(headers, mandatoryFields)
 
     if (missingFields.length > 0) {
       throw new Error(
@@ -228,65 +577,259 @@ class CSVParser {
       )
     }
 
-    console.log("✓ All mandatory fields found in header row")
+    logger.debug("All mandatory fields found in header row")
+  }
+
+  /**
+   * @param {Array} headers - Array of header names
+   * @param {Array} [mandatoryFields] - Header fields that must be present
+   * @returns {Array} Mandatory fields absent from the headers
+   */
+  findMissingMandatoryFields(headers, mandatoryFields = DEFAULT_MANDATORY_FIELDS) {
+    return mandatoryFields.filter((field) => !headers.includes(field))
   }
 
   /**
    * Create nested object from dot-notation headers and values
-   * Supports infinite depth nesting (a.b.c.d.e.f.g...)
+   * Supports infinite depth nesting (a.b.c.d.e.f.g...), indexed array paths
+   * (contact.phones[0].number) and repeated headers, which collect into an array
+   * Columns with a type spec are converted to their declared type instead of
+   * being guessed; values that do not fit are collected as violations
    * @param {Array} headers - Array of header names (with dot notation)
    * @param {Array} values - Array of corresponding values
-   * @returns {Object} Nested JSON object
+   * @param {Array} [columnSpecs] - Type spec per column from columnSchema.resolveColumnSpecs
+   * @param {Object} [output] - { flat, inferTypes } (see parseCSVStream)
+   * @returns {Object} Nested JSON object, or a flat one keyed by header name
+   * @throws {Error} With a `violations` array if any value breaks its column spec
    */
-  createNestedObject(headers, values) {
+  createNestedObject(headers, values, columnSpecs = null, output = {}) {
+    const { flat = false, inferTypes = true } = output
     const result = {}
+    const repeatedHeaders = this.findRepeatedHeaders(headers)
+    const violations = []
+    const setValue = (header, value) => {
+      if (flat) {
+        this.setFlatValue(result, header, value, repeatedHeaders.has(header))
+      } else {
+        this.setNestedValue(result, header, value, repeatedHeaders.has(header))
+      }
+    }
 
     for (let i = 0; i < headers.length; i++) {
       const header = headers[i]
       const value = values[i]
+      const spec = columnSpecs && columnSpecs[i]
+
+      if (!header) continue
+
+      if (spec) {
+        if (value === undefined || isNullValue(value, spec)) {
+          if (spec.required) {
+            violations.push(`${header}: required value is missing`)
+          } else if (spec.nullable) {
+            setValue(header, null)
+          }
+          continue
+        }
 
-      if (header && value !== undefined && value !== "") {
-        this.setNestedProperty(result, header, value)
+        try {
+          const untypedValue = inferTypes ? this.convertValue(value) : value
+          setValue(header, spec.type === "any" ? untypedValue : coerceValue(value, spec))
+        } catch (error) {
+          violations.push(`${header}: ${error.message}`)
+        }
+      } else if (value !== undefined && value !== "") {
+        setValue(header, inferTypes ? this.convertValue(value) : value)
       }
     }
 
+    if (violations.length > 0) {
+      const error = new Error(`Schema violations - ${violations.join("; ")}`)
+      error.violations = violations
+      throw error
+    }
+
     return result
   }
 
   /**
    * Set nested property using dot notation
    * Supports infinite depth: a.b.c.d.e.f.g.h.i.j.k.l.m.n.o.p.q.r.s.t.u.v.w.x.y.z.a1.b1.c1...
+   * and array indexes: contact.phones[0].number
    * @param {Object} obj - Target object
    * @param {string} path - Dot-notation path (e.g., 'name.firstName' or 'a.b.c.d.e.f.g')
    * @param {*} value - Value to set
+   * @param {boolean} [append] - Append to an array at the path instead of overwriting
    */
-  setNestedProperty(obj, path, value) {
-    const keys = path.split(".")
+  setNestedProperty(obj, path, value, append = false) {
+    this.setNestedValue(obj, path, this.convertValue(value), append)
+  }
+
+  /**
+   * Set an already converted value at a property path
+   * Arrays only hold the indexes that are set, in index order, so empty
+   * indexed columns leave no holes: 'phones[2]' alone gives a one-element array
+   * @param {Object} obj - Target object
+   * @param {string} path - Dot-notation path, optionally with array indexes
+   * @param {*} value - Value to set as is
+   * @param {boolean} [append] - Append to an array at the path instead of overwriting
+   */
+  setNestedValue(obj, path, value, append = false) {
+    const keys = this.parsePropertyPath(path)
     let current = obj
 
     // Navigate/create nested structure for all keys except the last one
     for (let i = 0; i < keys.length - 1; i++) {
-      const key = keys[i]
+      const key = typeof keys[i] === "number" ? this.getArrayPosition(current, keys[i]) : keys[i]
+      const nextIsIndex = typeof keys[i + 1] === "number"
 
-      // Validate key name
+      // Create nested array/object if it doesn't exist or has the wrong shape
+      if (nextIsIndex) {
+        if (!Array.isArray(current[key])) {
+          current[key] = []
+        }
+      } else if (typeof current[key] !== "object" || current[key] === null || Array.isArray(current[key])) {
+        current[key] = {}
+      }
+      current = current[key]
+    }
+
+    // Set the final value
+    const lastIndex = keys[keys.length - 1]
+    const lastKey = typeof lastIndex === "number" ? this.getArrayPosition(current, lastIndex) : lastIndex
+
+    if (append) {
+      if (!Array.isArray(current[lastKey])) {
+        current[lastKey] = []
+      }
+      current[lastKey].push(value)
+    } else {
+      current[lastKey] = value
+    }
+  }
+
+  /**
+   * Find, or make room for, the element of an indexed path in an array
+   * @param {Array} array - Array built by setNestedValue
+   * @param {number} index - Index from the property path
+   * @returns {number} Position of the element in the array
+   */
+  getArrayPosition(array, index) {
+    if (!this.arrayIndexes.has(array)) {
+      this.arrayIndexes.set(array, [])
+    }
+    const indexes = this.arrayIndexes.get(array)
+
+    let position = 0
+    while (position < indexes.length && indexes[position] < index) {
+      position++
+    }
+    if (indexes[position] !== index) {
+      indexes.splice(position, 0, index)
+      array.splice(position, 0, undefined)
+    }
+
+    return position
+  }
+
+  /**
+   * Set a value under the header name itself, without nesting
+   * @param {Object} obj - Target object
+   * @param {string} key - Header name
+   * @param {*} value - Value to set as is
+   * @param {boolean} [append] - Append to an array under the key instead of overwriting
+   * @throws {Error} If the header is one of RESERVED_KEYS
+   */
+  setFlatValue(obj, key, value, append = false) {
+    if (RESERVED_KEYS.includes(key)) {
+      throw new Error(`Invalid header: '${key}' cannot be used as a key.`)
+    }
+
+    if (!append) {
+      obj[key] = value
+    } else if (Array.isArray(obj[key])) {
+      obj[key].push(value)
+    } else {
+      obj[key] = [value]
+    }
+  }
+
+  /**
+   * Split a property path into object keys and array indexes
+   * 'contact.phones[0].number' → ['contact', 'phones', 0, 'number']
+   * @param {string} path - Dot-notation path
+   * @returns {Array} Keys (strings) and indexes (numbers)
+   */
+  parsePropertyPath(path) {
+    if (this.pathCache.has(path)) {
+      const cached = this.pathCache.get(path)
+      this.pathCache.delete(path)
+      this.pathCache.set(path, cached)
+      return cached
+    }
+
+    const keys = []
+
+    for (const part of path.split(".")) {
+      const match = part.match(/^([^[\]]*)((?:\[\d+\])*)$/)
+
+      if (!match) {
+        throw new Error(`Invalid property path: '${path}'. Malformed array index in '${part}'.`)
+      }
+
+      const [, key, indexes] = match
       if (!key || key.trim() === "") {
         throw new Error(`Invalid property path: '${path}'. Empty key found.`)
       }
+      if (RESERVED_KEYS.includes(key)) {
+        throw new Error(`Invalid property path: '${path}'. '${key}' cannot be used as a key.`)
+      }
 
-      // Create nested object if it doesn't exist or if it's not an object
-      if (!(key in current) || typeof current[key] !== "object" || current[key] === null) {
-        current[key] = {}
+      keys.push(key)
+      for (const index of indexes.matchAll(/\[(\d+)\]/g)) {
+        const value = Number.parseInt(index[1])
+        if (value > MAX_ARRAY_INDEX) {
+          throw new Error(`Invalid property path: '${path}'. Array index ${value} is above ${MAX_ARRAY_INDEX}.`)
+        }
+        keys.push(value)
       }
-      current = current[key]
     }
 
-    // Set the final value
-    const lastKey = keys[keys.length - 1]
-    if (!lastKey || lastKey.trim() === "") {
-      throw new Error(`Invalid property path: '${path}'. Empty final key.`)
+    if (this.pathCache.size >= MAX_PATH_CACHE_SIZE) {
+      this.pathCache.delete(this.pathCache.keys().next().value)
     }
+    this.pathCache.set(path, keys)
+    return keys
+  }
 
-    current[lastKey] = this.convertValue(value)
+  /**
+   * Get the top-level property a header belongs to
+   * @param {string} header - Header name
+   * @returns {string} Root property ('contact' for 'contact.phones[0].number')
+   */
+  getRootProperty(header) {
+    return header.split(/[.[]/)[0]
+  }
+
+  /**
+   * Find header names that appear more than once
+   * @param {Array} headers - Array of header names
+   * @returns {Set} Repeated header names
+   */
+  findRepeatedHeaders(headers) {
+    if (!this.repeatedHeaderCache.has(headers)) {
+      const seen = new Set()
+      const repeated = new Set()
+
+      for (const header of headers) {
+        if (seen.has(header)) repeated.add(header)
+        seen.add(header)
+      }
+
+      this.repeatedHeaderCache.set(headers, repeated)
+    }
+
+    return this.repeatedHeaderCache.get(headers)
   }
 
   /**
@@ -320,18 +863,31 @@ class CSVParser {
     const stats = {
       totalColumns: headers.length,
       nestedProperties: 0,
+      arrayProperties: 0,
       maxDepth: 0,
       propertyGroups: new Map(),
     }
+    const repeatedHeaders = this.findRepeatedHeaders(headers)
 
     headers.forEach((header) => {
-      const depth = header.split(".").length
+      let keys
+      try {
+        keys = this.parsePropertyPath(header)
+      } catch (error) {
+        keys = header.split(".")
+      }
+
+      // Array indexes count as a nesting level
+      const depth = keys.length
       if (depth > 1) {
         stats.nestedProperties++
       }
+      if (keys.some((key) => typeof key === "number") || repeatedHeaders.has(header)) {
+        stats.arrayProperties++
+      }
       stats.maxDepth = Math.max(stats.maxDepth, depth)
 
-      const rootProperty = header.split(".")[0]
+      const rootProperty = this.getRootProperty(header)
       if (!stats.propertyGroups.has(rootProperty)) {
         stats.propertyGroups.set(rootProperty, 0)
       }
@@ -0,0 +1,352 @@
+const csvParser = require("./csvParser")
+const ParseReport = require("./parseReport")
+const { coerceValue } = require("./columnSchema")
+
+const MAX_DISTINCT_VALUES = 10000
+const MAX_SAMPLE_VALUES = 5
+const MAX_UNUSUAL_VALUES = 10
+const EXTREME_VALUES_KEPT = 5
+const OUTLIER_STANDARD_DEVIATIONS = 3
+
+// Checked from most to least specific; every value fits "string"
+const PROFILE_TYPES = ["integer", "decimal", "boolean", "date"]
+
+/**
+ * Running statistics for one CSV column
+ * Memory stays bounded: distinct values are only tracked up to
+ * MAX_DISTINCT_VALUES and only the most extreme numbers are kept
+ */
+class ColumnProfile {
+  constructor(header, index) {
+    this.header = header
+    this.index = index
+    this.valueCount = 0
+    this.emptyCount = 0
+    this.nullCount = 0
+    this.typeCounts = { integer: 0, decimal: 0, boolean: 0, date: 0, string: 0 }
+    this.typeExamples = {}
+    this.distinctValues = new Set()
+    this.distinctOverflow = false
+    this.samples = []
+    this.minLength = Infinity
+    this.maxLength = 0
+    this.minDate = null
+    this.maxDate = null
+    this.leadingZeroValues = []
+    // Welford's online mean and variance
+    this.numericCount = 0
+    this.mean = 0
+    this.m2 = 0
+    this.lowest = []
+    this.highest = []
+  }
+
+  /**
+   * @param {string} value - Raw CSV value
+   * @param {number} lineNumber - Line the value was read from
+   */
+  add(value, lineNumber) {
+    if (value === "") {
+      this.emptyCount++
+      return
+    }
+    if (value === "null" || value === "NULL") {
+      this.nullCount++
+      return
+    }
+
+    this.valueCount++
+    this.minLength = Math.min(this.minLength, value.length)
+    this.maxLength = Math.max(this.maxLength, value.length)
+
+    if (!this.distinctOverflow) {
+      this.distinctValues.add(value)
+      if (this.distinctValues.size > MAX_DISTINCT_VALUES) {
+        this.distinctOverflow = true
+        this.distinctValues.clear()
+      }
+    }
+
+    if (this.samples.length < MAX_SAMPLE_VALUES && !this.samples.includes(value)) {
+      this.samples.push(value)
+    }
+
+    const type = detectValueType(value)
+    this.typeCounts[type]++
+    if (!this.typeExamples[type]) {
+      this.typeExamples[type] = []
+    }
+    if (this.typeExamples[type].length < MAX_UNUSUAL_VALUES) {
+      this.typeExamples[type].push({ line: lineNumber, value })
+    }
+
+    if (type === "integer" || type === "decimal") {
+      this.addNumber(Number(value), value, lineNumber)
+
+      // Type inference would turn "007" into 7
+      if (/^[+-]?0\d/.test(value) && this.leadingZeroValues.length < MAX_UNUSUAL_VALUES) {
+        this.leadingZeroValues.push({ line: lineNumber, value })
+      }
+    } else if (type === "date") {
+      if (this.minDate === null || value < this.minDate) this.minDate = value
+      if (this.maxDate === null || value > this.maxDate) this.maxDate = value
+    }
+  }
+
+  addNumber(number, value, lineNumber) {
+    this.numericCount++
+    const delta = number - this.mean
+    this.mean += delta / this.numericCount
+    this.m2 += delta * (number - this.mean)
+
+    keepExtremes(this.lowest, { line: lineNumber, value, number }, (a, b) => a.number - b.number)
+    keepExtremes(this.highest, { line: lineNumber, value, number }, (a, b) => b.number - a.number)
+  }
+
+  /**
+   * Pick the type most values fit; integers also count as decimals
+   * @returns {string} Inferred column type, or null for an all-empty column
+   */
+  inferType() {
+    if (this.valueCount === 0) return null
+
+    const counts = { ...this.typeCounts, decimal: this.typeCounts.decimal + this.typeCounts.integer }
+    if (counts.integer === this.valueCount) return "integer"
+    if (counts.decimal === this.valueCount) return "decimal"
+    if (counts.boolean === this.valueCount) return "boolean"
+    if (counts.date === this.valueCount) return "date"
+
+    // Mostly one type with a few stray values: report the dominant type
+    const [dominant, dominantCount] = Object.entries(counts)
+      .filter(([type]) => type !== "string")
+      .sort((a, b) => b[1] - a[1])[0]
+    return dominantCount / this.valueCount >= 0.9 ? dominant : "string"
+  }
+
+  /**
+   * @param {number} rowCount - Data rows profiled
+   * @returns {Object} Column profile
+   */
+  toJSON(rowCount) {
+    const inferredType = this.inferType()
+    const numeric = inferredType === "integer" || inferredType === "decimal"
+
+    let min = null
+    let max = null
+    if (numeric && this.numericCount > 0) {
+      min = this.lowest[0].number
+      max = this.highest[0].number
+    } else if (inferredType === "date") {
+      min = this.minDate
+      max = this.maxDate
+    }
+
+    return {
+      column: this.header,
+      index: this.index,
+      inferredType,
+      typeCounts: this.typeCounts,
+      count: this.valueCount,
+      emptyCount: this.emptyCount,
+      nullCount: this.nullCount,
+      nullRate: rate(this.emptyCount + this.nullCount, rowCount),
+      distinctCount: this.distinctOverflow ? null : this.distinctValues.size,
+      distinctCountExceeds: this.distinctOverflow ? MAX_DISTINCT_VALUES : undefined,
+      min,
+      max,
+      mean: numeric && this.numericCount > 0 ? Math.round(this.mean * 100) / 100 : undefined,
+      minLength: this.valueCount > 0 ? this.minLength : null,
+      maxLength: this.valueCount > 0 ? this.maxLength : null,
+      samples: this.samples,
+      unusualValues: this.findUnusualValues(inferredType),
+    }
+  }
+
+  /**
+   * @param {string} inferredType - Type from inferType
+   * @returns {Array} { line, value, reason } for values that do not fit the column
+   */
+  findUnusualValues(inferredType) {
+    const unusual = []
+    if (!inferredType) return unusual
+
+    // Values of another type than the column mostly holds
+    if (inferredType !== "string") {
+      for (const [type, examples] of Object.entries(this.typeExamples)) {
+        if (fitsType(type, inferredType)) continue
+        for (const example of examples) {
+          unusual.push({ ...example, reason: `not ${articleFor(inferredType)} ${inferredType} (looks like ${type})` })
+        }
+      }
+    }
+
+    for (const example of this.leadingZeroValues) {
+      unusual.push({ ...example, reason: "leading zero would be lost by type inference; annotate the column :string" })
+    }
+
+    // Numbers far from the mean
+    if (this.numericCount > 2) {
+      const deviation = Math.sqrt(this.m2 / (this.numericCount - 1))
+      const limit = OUTLIER_STANDARD_DEVIATIONS * deviation
+      for (const extreme of [...this.lowest, ...this.highest]) {
+        if (deviation > 0 && Math.abs(extreme.number - this.mean) > limit) {
+          const distance = Math.round((Math.abs(extreme.number - this.mean) / deviation) * 10) / 10
+          unusual.push({
+            line: extreme.line,
+            value: extreme.value,
+            reason: `${distance} standard deviations from the mean`,
+          })
+        }
+      }
+    }
+
+    return unusual.slice(0, MAX_UNUSUAL_VALUES)
+  }
+}
+
+/**
+ * Profile a CSV file column by column without storing it
+ * Reports per column type, null rate, distinct count, min/max, samples and
+ * unusual values, plus the nested shape the headers produce
+ * @param {string|Readable} input - Path to CSV file or a readable stream
+ * @param {Object} [options] - Profiling options
+ * @param {Object} [options.dialect] - Dialect options; unset values are detected
+ * @param {Object} [options.schema] - Column schema from columnSchema.parseSchemaDocument
+ * @param {number} [options.maxRows] - Stop after this many data rows
+ * @returns {Object} Profile
+ */
+async function profileCSV(input, options = {}) {
+  const source = await csvParser.openCSVSource(input, options.dialect)
+  const dialect = source.dialect
+  let headers = null
+  let columnSpecs = null
+  let columns = null
+  const report = new ParseReport()
+  let rowCount = 0
+  let malformedRowCount = 0
+  let truncated = false
+
+  for await (const { line, lineNumber } of source.lines) {
+    if (!headers) {
+      ;({ headers, columnSpecs } = csvParser.parseHeaderRow(line, {
+        dialect,
+        schema: options.schema,
+        report,
+        validateOnly: true,
+      }))
+      columns = headers.map((header, index) => new ColumnProfile(header, index))
+      continue
+    }
+
+    if (options.maxRows && rowCount >= options.maxRows) {
+      truncated = true
+      break
+    }
+
+    const values = csvParser.parseCSVRow(line, dialect)
+    if (values.length !== headers.length) {
+      malformedRowCount++
+      continue
+    }
+
+    rowCount++
+    values.forEach((value, index) => columns[index].add(value, lineNumber))
+  }
+
+  if (!headers) {
+    throw new Error("CSV file is empty")
+  }
+
+  const columnProfiles = columns.map((column) => column.toJSON(rowCount))
+  columnProfiles.forEach((profile) => {
+    const spec = columnSpecs && columnSpecs[profile.index]
+    if (spec && spec.type !== "any") {
+      profile.declaredType = spec.type
+    }
+  })
+
+  const statistics = csvParser.getCSVStatistics(headers)
+
+  return {
+    dialect,
+    rowCount,
+    malformedRowCount,
+    truncated,
+    headerProblems: report.headerProblems,
+    structure: {
+      totalColumns: statistics.totalColumns,
+      nestedProperties: statistics.nestedProperties,
+      arrayProperties: statistics.arrayProperties,
+      maxDepth: statistics.maxDepth,
+      propertyGroups: Object.fromEntries(statistics.propertyGroups),
+      tree: buildShapeTree(headers, columnProfiles),
+    },
+    columns: columnProfiles,
+  }
+}
+
+/**
+ * Build the nested object the headers produce, with each leaf set to the
+ * column's inferred type
+ * @param {Array} headers - Header names
+ * @param {Array} columnProfiles - Profiles from ColumnProfile.toJSON
+ * @returns {Object} Shape tree
+ */
+function buildShapeTree(headers, columnProfiles) {
+  const tree = {}
+  const repeatedHeaders = csvParser.findRepeatedHeaders(headers)
+
+  headers.forEach((header, index) => {
+    if (header === "") return
+
+    try {
+      const profile = columnProfiles[index]
+      const leaf = profile.declaredType || profile.inferredType || "empty"
+      csvParser.setNestedValue(tree, header, leaf, repeatedHeaders.has(header))
+    } catch {
+      // Invalid paths are already listed in headerProblems
+    }
+  })
+
+  return tree
+}
+
+/**
+ * @param {string} value - Non-empty raw value
+ * @returns {string} Most specific profile type the value fits
+ */
+function detectValueType(value) {
+  for (const type of PROFILE_TYPES) {
+    try {
+      coerceValue(value, { type })
+      return type
+    } catch {
+      // Try the next type
+    }
+  }
+  return "string"
+}
+
+function fitsType(valueType, columnType) {
+  return valueType === columnType || (valueType === "integer" && columnType === "decimal")
+}
+
+function keepExtremes(list, entry, compare) {
+  list.push(entry)
+  list.sort(compare)
+  if (list.length > EXTREME_VALUES_KEPT) {
+    list.pop()
+  }
+}
+
+function rate(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 10000) / 10000
+}
+
+function articleFor(word) {
+  return /^[aeiou]/.test(word) ? "an" : "a"
+}
+
+module.exports = {
+  profileCSV,
+}
@@ -0,0 +1,121 @@
+const csvParser = require("./csvParser")
+const { DEFAULT_DIALECT } = require("./csvDialect")
+
+/**
+ * Flatten a nested record into dot-notation paths CSVParser accepts again
+ * Arrays use indexed paths: { phones: [{ number: 1 }] } → 'phones[0].number'
+ * @param {Object} record - Nested record
+ * @returns {Map} Values by path, in key order
+ */
+function flattenRecord(record) {
+  const result = new Map()
+
+  for (const [key, value] of Object.entries(record)) {
+    flattenValue(value, key, result)
+  }
+
+  return result
+}
+
+function flattenValue(value, path, result) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenValue(item, `${path}[${index}]`, result))
+  } else if (typeof value === "object" && value !== null) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenValue(child, `${path}.${key}`, result)
+    }
+  } else {
+    result.set(path, value)
+  }
+}
+
+/**
+ * Quote a value for CSV output when it contains the delimiter, quotes,
+ * line breaks or surrounding whitespace (which the parser only keeps inside quotes)
+ * @param {*} value - Primitive value
+ * @param {Object} [dialect] - Delimiter, quote and escape characters
+ * @returns {string} CSV field
+ */
+function formatCSVValue(value, dialect = DEFAULT_DIALECT) {
+  if (value === null || value === undefined) return ""
+
+  const { delimiter, quote } = dialect
+  const escape = dialect.escape || quote
+  const text = String(value)
+  if (text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text) || text !== text.trim()) {
+    const escaped = [...text].map((char) => (char === quote || char === escape ? escape + char : char)).join("")
+    return quote + escaped + quote
+  }
+  return text
+}
+
+/**
+ * @param {Array} values - Field values
+ * @param {Object} [dialect] - Delimiter, quote and escape characters
+ * @returns {string} CSV line including the line break
+ */
+function formatCSVRow(values, dialect = DEFAULT_DIALECT) {
+  return values.map((value) => formatCSVValue(value, dialect)).join(dialect.delimiter) + "\n"
+}
+
+/**
+ * Collects the union of paths across flattened records
+ * Paths are grouped by root property (as validatePropertyGrouping expects) in
+ * first-seen order. Columns holding any string that the parser would retype
+ * (e.g. '02012345678') get a ':string' annotation so a re-import keeps it intact;
+ * other values in such a column come back as strings.
+ */
+class CSVColumnCollector {
+  constructor() {
+    this.groups = new Map() // root property → Set of paths
+    this.columns = new Map() // path → { needsAnnotation }
+  }
+
+  /**
+   * @param {Map} flatRecord - Output of flattenRecord
+   */
+  add(flatRecord) {
+    for (const [path, value] of flatRecord) {
+      let column = this.columns.get(path)
+
+      if (!column) {
+        column = { needsAnnotation: false }
+        this.columns.set(path, column)
+
+        const rootProperty = csvParser.getRootProperty(path)
+        if (!this.groups.has(rootProperty)) {
+          this.groups.set(rootProperty, new Set())
+        }
+        this.groups.get(rootProperty).add(path)
+      }
+
+      if (typeof value === "string" && csvParser.convertValue(value) !== value) {
+        column.needsAnnotation = true
+      }
+    }
+  }
+
+  /**
+   * @returns {Array} Column paths in output order
+   */
+  getPaths() {
+    return [...this.groups.values()].flatMap((paths) => [...paths])
+  }
+
+  /**
+   * @returns {Array} Header names, annotated where needed
+   */
+  getHeaders() {
+    return this.getPaths().map((path) => {
+      const column = this.columns.get(path)
+      return column.needsAnnotation ? `${path}:string` : path
+    })
+  }
+}
+
+module.exports = {
+  flattenRecord,
+  formatCSVValue,
+  formatCSVRow,
+  CSVColumnCollector,
+}
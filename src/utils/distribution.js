@@ -0,0 +1,255 @@
+const { pool } = require("../config/database")
+const { recordPathToSQL, recordPathToJSONB } = require("./userRecords")
+const logger = require("./logger")
+
+const DEFAULT_PERCENTILES = [25, 50, 75, 90, 99]
+const DEFAULT_GROUP_LIMIT = 50
+const MAX_GROUP_LIMIT = 1000
+
+/**
+ * Parse comma-separated bucket boundaries such as "20,40,60"
+ * @param {string} value - Boundaries in ascending order
+ * @returns {Array<number>} Boundaries
+ * @throws {Error} If a boundary is not a number or the list is not strictly ascending
+ */
+function parseBucketBoundaries(value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new Error("Invalid buckets: expected comma-separated numbers such as 20,40,60")
+  }
+
+  const boundaries = value.split(",").map((part) => {
+    const boundary = Number(part.trim())
+    if (part.trim() === "" || !Number.isFinite(boundary)) {
+      throw new Error(`Invalid buckets: '${part.trim()}' is not a number`)
+    }
+    return boundary
+  })
+
+  for (let i = 1; i < boundaries.length; i++) {
+    if (boundaries[i] <= boundaries[i - 1]) {
+      throw new Error("Invalid buckets: boundaries must be in strictly ascending order")
+    }
+  }
+
+  return boundaries
+}
+
+/**
+ * Split a numeric expression into bands at the given boundaries
+ * The first band is below the first boundary and the last band is above the
+ * last boundary. Every band in between includes its upper boundary, and the
+ * first of them also includes its lower one, so 20,40,60 gives
+ * under_20, 20_to_40 (20-40), 40_to_60 (41-60) and over_60.
+ * @param {string} expression - SQL expression of a numeric type
+ * @param {Array<number>} boundaries - Ascending boundaries from parseBucketBoundaries
+ * @param {Function} addParam - Adds a query parameter and returns its placeholder
+ * @returns {Array<Object>} { key, label, condition } per band, in ascending order
+ */
+function buildBuckets(expression, boundaries, addParam) {
+  const placeholders = boundaries.map((boundary) => `${addParam(boundary)}::numeric`)
+  const buckets = [
+    { key: `under_${boundaries[0]}`, label: `< ${boundaries[0]}`, condition: `${expression} < ${placeholders[0]}` },
+  ]
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const lowerOperator = i === 1 ? ">=" : ">"
+    buckets.push({
+      key: `${boundaries[i - 1]}_to_${boundaries[i]}`,
+      label: `${boundaries[i - 1]} to ${boundaries[i]}`,
+      condition: `${expression} ${lowerOperator} ${placeholders[i - 1]} AND ${expression} <= ${placeholders[i]}`,
+    })
+  }
+
+  const last = boundaries.length - 1
+  buckets.push({
+    key: `over_${boundaries[last]}`,
+    label: `> ${boundaries[last]}`,
+    condition: `${expression} > ${placeholders[last]}`,
+  })
+
+  return buckets
+}
+
+/**
+ * Parse comma-separated percentiles such as "25,50,90"
+ * @param {string} [value] - Percentiles between 0 and 100
+ * @returns {Array<number>} Percentiles
+ * @throws {Error} If a percentile is out of range
+ */
+function parsePercentiles(value) {
+  if (value === undefined) return DEFAULT_PERCENTILES
+
+  const percentiles = typeof value === "string" ? value.split(",").map((part) => Number(part.trim())) : []
+  if (percentiles.length === 0 || percentiles.some((p) => !Number.isFinite(p) || p < 0 || p > 100)) {
+    throw new Error("Invalid percentiles: expected comma-separated numbers between 0 and 100")
+  }
+  return percentiles
+}
+
+/**
+ * Calculate the distribution of users over the values of one field
+ * The field is age or any record path (address.state, employment.salary.currency, ...).
+ * Without buckets, users are grouped by the field's text value, most common first.
+ * With buckets, numeric values are grouped into bands instead. Numeric fields
+ * also get min/max/mean/median and percentiles.
+ * @param {Object} options - Distribution options
+ * @param {string} options.field - age or a dot-notation record path
+ * @param {Array<number>} [options.buckets] - Band boundaries from parseBucketBoundaries
+ * @param {Array<number>} [options.percentiles] - Percentiles to report for numeric values
+ * @param {number} [options.limit] - Maximum number of groups without buckets
+ * @param {Object} [options.filters] - { where, params } from buildUserFilters
+ * @returns {Object} Distribution object
+ */
+async function calculateDistribution(options) {
+  const { field, buckets = null, percentiles = DEFAULT_PERCENTILES, limit = DEFAULT_GROUP_LIMIT } = options
+  const filters = options.filters || { where: "", params: [] }
+  const baseQuery = createParams(filters.params)
+  const { textExpression, numberExpression } = resolveField(field, baseQuery.addParam)
+
+  if (buckets && !numberExpression) {
+    throw new Error(`Field '${field}' is not numeric and cannot be bucketed`)
+  }
+
+  // Both queries share the field_values CTE but add parameters of their own
+  const summaryQuery = createParams(baseQuery.params)
+  const groupQuery = createParams(baseQuery.params)
+  const bands = buckets ? buildBuckets("number", buckets, summaryQuery.addParam) : null
+  const bandColumns = (bands || []).map((band, i) => `, COUNT(CASE WHEN ${band.condition} THEN 1 END) AS band_${i}`)
+  // The median is always computed as an extra trailing percentile
+  const fractions = [...percentiles, 50].map((p) => p / 100)
+
+  const values = `
+    WITH field_values AS (
+      SELECT ${textExpression} AS value, ${numberExpression || "NULL::numeric"} AS number
+      FROM public.users
+      ${filters.where}
+    )`
+
+  try {
+    const summaryResult = await pool.query(
+      `${values}
+      SELECT
+        COUNT(*) AS total_users,
+        COUNT(value) AS present,
+        COUNT(DISTINCT value) AS distinct_values,
+        COUNT(number) AS numeric_count,
+        MIN(number) AS min,
+        MAX(number) AS max,
+        AVG(number) AS mean,
+        percentile_cont(${summaryQuery.addParam(fractions)}::float8[])
+          WITHIN GROUP (ORDER BY number::float8) AS percentiles
+        ${bandColumns.join("\n        ")}
+      FROM field_values`,
+      summaryQuery.params,
+    )
+    const summary = summaryResult.rows[0]
+    const totalUsers = Number.parseInt(summary.total_users)
+
+    let groups
+    let otherCount = 0
+    if (bands) {
+      groups = bands.map((band, i) => {
+        const count = Number.parseInt(summary[`band_${i}`])
+        return { value: band.key, label: band.label, count, percentage: toPercentage(count, totalUsers) }
+      })
+    } else {
+      const groupResult = await pool.query(
+        `${values}
+        SELECT value, COUNT(*) AS count
+        FROM field_values
+        WHERE value IS NOT NULL
+        GROUP BY value
+        ORDER BY COUNT(*) DESC, value
+        LIMIT ${groupQuery.addParam(limit)}`,
+        groupQuery.params,
+      )
+      groups = groupResult.rows.map((row) => {
+        const count = Number.parseInt(row.count)
+        return { value: row.value, count, percentage: toPercentage(count, totalUsers) }
+      })
+      otherCount = Number.parseInt(summary.present) - groups.reduce((sum, group) => sum + group.count, 0)
+    }
+
+    const numericCount = Number.parseInt(summary.numeric_count)
+    const missing = totalUsers - Number.parseInt(summary.present)
+
+    return {
+      field,
+      totalUsers,
+      missing: { count: missing, percentage: toPercentage(missing, totalUsers) },
+      distinctValues: Number.parseInt(summary.distinct_values),
+      groups,
+      ...(bands ? {} : { otherCount }),
+      stats:
+        numericCount > 0
+          ? {
+              count: numericCount,
+              min: Number(summary.min),
+              max: Number(summary.max),
+              mean: Math.round(Number(summary.mean) * 100) / 100,
+              median: summary.percentiles[percentiles.length],
+              percentiles: Object.fromEntries(percentiles.map((p, i) => [`p${p}`, summary.percentiles[i]])),
+            }
+          : null,
+    }
+  } catch (error) {
+    logger.error(`Error calculating distribution of ${field}`, { error })
+    throw error
+  }
+}
+
+/**
+ * @param {string} field - age or a dot-notation record path
+ * @returns {boolean} Whether the field can hold numbers (age and JSONB paths, not name)
+ * @throws {Error} If the path is malformed
+ */
+function isNumericField(field) {
+  return field === "age" || recordPathToJSONB(field, () => "$1") !== null
+}
+
+/**
+ * Resolve a distribution field to SQL expressions
+ * @param {string} field - age or a dot-notation record path
+ * @param {Function} addParam - Adds a query parameter and returns its placeholder
+ * @returns {Object} { textExpression, numberExpression } where numberExpression is null for text-only fields
+ */
+function resolveField(field, addParam) {
+  if (field === "age") {
+    return { textExpression: "age::text", numberExpression: "age::numeric" }
+  }
+
+  const jsonbExpression = recordPathToJSONB(field, addParam)
+  if (!jsonbExpression) {
+    return { textExpression: recordPathToSQL(field, addParam), numberExpression: null }
+  }
+
+  return {
+    textExpression: `(${jsonbExpression}) #>> '{}'`,
+    numberExpression: `CASE WHEN jsonb_typeof(${jsonbExpression}) = 'number' THEN (${jsonbExpression})::numeric END`,
+  }
+}
+
+function createParams(initialParams) {
+  const params = [...initialParams]
+  return {
+    params,
+    addParam: (value) => {
+      params.push(value)
+      return `$${params.length}`
+    },
+  }
+}
+
+function toPercentage(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 10000) / 100
+}
+
+module.exports = {
+  DEFAULT_GROUP_LIMIT,
+  MAX_GROUP_LIMIT,
+  parseBucketBoundaries,
+  parsePercentiles,
+  buildBuckets,
+  isNumericField,
+  calculateDistribution,
+}
@@ -0,0 +1,71 @@
+const fs = require("fs")
+const { pool } = require("../config/database")
+const { assertNoPendingMigrations } = require("./migrations")
+
+const CHECK_TIMEOUT_MS = Number.parseInt(process.env.READINESS_CHECK_TIMEOUT_MS) || 2000
+
+/**
+ * Lifecycle of the server process, as reported by the health endpoints
+ * starting: waiting for the database and migrations at boot
+ * ready: serving requests
+ * shuttingDown: draining imports after SIGTERM or SIGINT
+ */
+const serverState = {
+  status: "starting",
+}
+
+/**
+ * Check everything the server needs to serve requests
+ * @param {Object} options - { uploadDir }
+ * @returns {Object} { ready, checks } where each check is { ok, durationMs, error? } plus details
+ */
+async function checkReadiness(options) {
+  const [database, uploadDir, migrations] = await Promise.all([
+    runCheck(async () => {
+      await pool.query("SELECT 1")
+    }),
+    runCheck(async () => {
+      await fs.promises.access(options.uploadDir, fs.constants.W_OK)
+    }),
+    runCheck(assertNoPendingMigrations),
+  ])
+  const checks = { database, uploadDir, migrations }
+
+  if (serverState.status === "shuttingDown") {
+    checks.shutdown = { ok: false, error: "The server is shutting down" }
+  }
+
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks,
+  }
+}
+
+/**
+ * Run one check, failing it if it throws or takes longer than CHECK_TIMEOUT_MS
+ * @param {Function} check - async () => void; throws when the check fails
+ * @returns {Object} { ok, durationMs, error? }
+ */
+async function runCheck(check) {
+  const startTime = Date.now()
+  let timer
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS)
+      }),
+    ])
+    return { ok: true, durationMs: Date.now() - startTime }
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - startTime, error: error.message }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+module.exports = {
+  serverState,
+  checkReadiness,
+}
@@ -0,0 +1,201 @@
+const { pool } = require("../config/database")
+const { getMappingProfile } = require("../config/mappingProfiles")
+const { quoteIdentifier } = require("./recordMapper")
+const logger = require("./logger")
+
+/**
+ * Record the start of an import
+ * @param {Object} details - { fileName, fileSize, uploadedBy, apiKeyId, mappingProfile, targetTable }
+ * @returns {number} Import id
+ */
+async function createImport(details) {
+  const result = await pool.query(
+    `INSERT INTO public.imports (file_name, file_size, uploaded_by, api_key_id, mapping_profile, target_table, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'processing')
+     RETURNING id`,
+    [
+      details.fileName,
+      details.fileSize,
+      details.uploadedBy || null,
+      details.apiKeyId || null,
+      details.mappingProfile || "users",
+      details.targetTable || null,
+    ],
+  )
+
+  return result.rows[0].id
+}
+
+/**
+ * Mark an import as completed and store its row counts and timings
+ * @param {number} importId - Import id
+ * @param {Object} stats - { rowsParsed, rowsInserted, rowsUpdated, rowsSkipped, parseTimeMs, insertTimeMs }
+ */
+async function completeImport(importId, stats) {
+  await pool.query(
+    `UPDATE public.imports
+     SET status = 'completed', rows_parsed = $2, rows_inserted = $3, rows_updated = $4, rows_skipped = $5,
+         parse_time_ms = $6, insert_time_ms = $7, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [
+      importId,
+      stats.rowsParsed,
+      stats.rowsInserted,
+      stats.rowsUpdated || 0,
+      stats.rowsSkipped,
+      stats.parseTimeMs,
+      stats.insertTimeMs,
+    ],
+  )
+}
+
+/**
+ * Mark an import as failed
+ * @param {number} importId - Import id
+ * @param {Error} error - Failure cause
+ */
+async function failImport(importId, error) {
+  await pool.query(
+    `UPDATE public.imports SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [importId, error.message],
+  )
+}
+
+/**
+ * List imports, newest first
+ * @param {Object} options - { limit, offset, status }
+ * @returns {Object} { imports, total }
+ */
+async function listImports(options) {
+  const params = [options.limit, options.offset]
+  let where = ""
+
+  if (options.status) {
+    params.push(options.status)
+    where = "WHERE status = $3"
+  }
+
+  const result = await pool.query(
+    `SELECT *, COUNT(*) OVER () AS total FROM public.imports ${where} ORDER BY id DESC LIMIT $1 OFFSET $2`,
+    params,
+  )
+
+  return {
+    imports: result.rows.map(({ total, ...row }) => row),
+    total: result.rows.length > 0 ? Number.parseInt(result.rows[0].total) : 0,
+  }
+}
+
+/**
+ * Get one import with the number of users it still owns
+ * @param {number} importId - Import id
+ * @returns {Object|null} Import row, or null if it does not exist
+ */
+async function getImport(importId) {
+  const result = await pool.query(
+    `SELECT i.*, (SELECT COUNT(*) FROM public.users u WHERE u.import_id = i.id)::int AS current_user_count
+     FROM public.imports i
+     WHERE i.id = $1`,
+    [importId],
+  )
+
+  return result.rows[0] || null
+}
+
+/**
+ * Delete every row an import created and mark the import as rolled back
+ * Rows the import only updated (in upsert mode) keep their current values.
+ * Quarantined rows a retry import resolved become pending again.
+ * @param {number} importId - Import id
+ * @returns {Object|null} { rolledBack, status, deletedCount, reopenedCount, reason? }, or null if the import
+ *   does not exist.
+ *   rolledBack is false when the import is still processing, was already rolled back or
+ *   its mapping profile cannot identify the rows it created
+ */
+async function rollbackImport(importId) {
+  const client = await pool.connect()
+
+  try {
+    await client.query("BEGIN")
+
+    const importResult = await client.query(
+      "SELECT status, mapping_profile FROM public.imports WHERE id = $1 FOR UPDATE",
+      [importId],
+    )
+    if (importResult.rows.length === 0) {
+      await client.query("ROLLBACK")
+      return null
+    }
+
+    const { status, mapping_profile: profileName } = importResult.rows[0]
+    if (status === "processing" || status === "rolled_back") {
+      await client.query("ROLLBACK")
+      return { rolledBack: false, status, deletedCount: 0 }
+    }
+
+    // Rows are found through the import id column of the profile they were mapped with
+    const profile = findRollbackProfile(profileName)
+    if (!profile) {
+      await client.query("ROLLBACK")
+      const reason = `used mapping profile '${profileName}', which has no import id column`
+      return { rolledBack: false, status, deletedCount: 0, reason }
+    }
+
+    const deleteResult = await client.query(
+      `DELETE FROM ${profile.tableSQL} WHERE ${quoteIdentifier(profile.importIdColumn)} = $1`,
+      [importId],
+    )
+    await client.query(
+      "UPDATE public.imports SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [importId],
+    )
+    const reopenResult = await client.query(
+      `UPDATE public.quarantined_rows
+       SET status = 'pending', resolved_import_id = NULL, resolved_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE resolved_import_id = $1 AND status = 'resolved'`,
+      [importId],
+    )
+
+    await client.query("COMMIT")
+    logger.info(`Rolled back import ${importId}: deleted ${deleteResult.rowCount} rows from ${profile.table}`, {
+      importId,
+      deletedRows: deleteResult.rowCount,
+      reopenedQuarantinedRows: reopenResult.rowCount,
+      table: profile.table,
+    })
+    return {
+      rolledBack: true,
+      status: "rolled_back",
+      deletedCount: deleteResult.rowCount,
+      reopenedCount: reopenResult.rowCount,
+    }
+  } catch (error) {
+    await client.query("ROLLBACK")
+    logger.error(`Rollback of import ${importId} failed`, { error })
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * @param {string} name - Mapping profile the import used
+ * @returns {Object|null} Profile, or null if it is no longer configured or has no import id column
+ */
+function findRollbackProfile(name) {
+  try {
+    const profile = getMappingProfile(name)
+    return profile.importIdColumn ? profile : null
+  } catch {
+    return null
+  }
+}
+
+module.exports = {
+  createImport,
+  completeImport,
+  failImport,
+  listImports,
+  getImport,
+  rollbackImport,
+}
@@ -0,0 +1,192 @@
+const { EventEmitter } = require("events")
+const crypto = require("crypto")
+const logger = require("./logger")
+
+const MAX_JOB_ERRORS = 100
+
+/**
+ * In-memory registry of background CSV import jobs
+ * Jobs move through queued → parsing → inserting → done/failed and every
+ * state or counter change is emitted as an "update" event
+ */
+class ImportJobManager extends EventEmitter {
+  constructor() {
+    super()
+    this.setMaxListeners(0) // One listener per open SSE connection
+    this.jobs = new Map()
+    this.queue = []
+    this.activeJobs = 0
+    this.concurrency = Number.parseInt(process.env.IMPORT_CONCURRENCY) || 1
+    this.retentionMs = (Number.parseInt(process.env.IMPORT_JOB_RETENTION_MINUTES) || 60) * 60 * 1000
+    this.accepting = true
+    this.abortError = null
+  }
+
+  /**
+   * Register a new job in the queued state
+   * @param {Object} details - File details ({ fileName, fileSize }) and the requestId of the upload
+   * @returns {Object} Job object
+   */
+  createJob(details) {
+    const job = {
+      id: crypto.randomUUID(),
+      requestId: details.requestId || null,
+      state: "queued",
+      fileName: details.fileName,
+      fileSize: details.fileSize,
+      importId: null,
+      currentFile: null,
+      rowsParsed: 0,
+      rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
+      errors: [],
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    }
+
+    this.jobs.set(job.id, job)
+    return job
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Object|undefined} Job object
+   */
+  getJob(id) {
+    return this.jobs.get(id)
+  }
+
+  /**
+   * Queue a job for background processing
+   * The task resolves with the job result or rejects to fail the job
+   * @param {Object} job - Job object from createJob
+   * @param {Function} task - async (job) => result
+   * @param {Function} [onCancel] - Cleanup if the job is cancelled before it starts, e.g. removing its upload
+   */
+  enqueue(job, task, onCancel) {
+    this.queue.push({ job, task, onCancel })
+    this.drain()
+  }
+
+  /**
+   * Stop taking jobs for shutdown: queued jobs are failed without running
+   * and later enqueue calls should not be made (check accepting first)
+   */
+  stopAccepting() {
+    this.accepting = false
+
+    for (const { job, onCancel } of this.queue.splice(0)) {
+      this.addError(job, { message: "The server shut down before the job started; upload the file again" })
+      this.update(job, { state: "failed", finishedAt: new Date().toISOString() })
+      if (onCancel) onCancel()
+    }
+  }
+
+  /**
+   * Make running jobs fail at their next record, which rolls back their transactions
+   * @param {string} reason - Error message for the aborted jobs
+   */
+  abortRunning(reason) {
+    this.abortError = new Error(reason)
+  }
+
+  /**
+   * Called by running imports between records
+   * @throws {Error} If running jobs have been aborted
+   */
+  throwIfAborted() {
+    if (this.abortError) throw this.abortError
+  }
+
+  /**
+   * Wait until no job is running
+   * @param {number} timeoutMs - Longest time to wait
+   * @returns {boolean} Whether the running jobs finished in time
+   */
+  async waitForIdle(timeoutMs) {
+    if (this.activeJobs === 0) return true
+
+    return new Promise((resolve) => {
+      const finish = (idle) => {
+        clearTimeout(timer)
+        this.off("idle", onIdle)
+        resolve(idle)
+      }
+      const onIdle = () => finish(true)
+      const timer = setTimeout(() => finish(false), timeoutMs)
+      this.on("idle", onIdle)
+    })
+  }
+
+  drain() {
+    while (this.activeJobs < this.concurrency && this.queue.length > 0) {
+      const { job, task } = this.queue.shift()
+      this.activeJobs++
+      // Lines logged by the job carry its id and the id of the request that uploaded it
+      const running = logger.runWithContext({ requestId: job.requestId, jobId: job.id }, () => this.execute(job, task))
+      running.finally(() => {
+        this.activeJobs--
+        this.drain()
+        if (this.activeJobs === 0) this.emit("idle")
+      })
+    }
+  }
+
+  async execute(job, task) {
+    this.update(job, { state: "parsing", startedAt: new Date().toISOString() })
+
+    try {
+      const result = await task(job)
+      this.update(job, { state: "done", result, finishedAt: new Date().toISOString() })
+    } catch (error) {
+      logger.error(`Import job ${job.id} failed`, { error })
+      this.addError(job, { message: error.message })
+      this.update(job, { state: "failed", finishedAt: new Date().toISOString() })
+    }
+
+    // Forget finished jobs after the retention period
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref()
+  }
+
+  /**
+   * Apply changes to a job and notify listeners
+   * @param {Object} job - Job object
+   * @param {Object} changes - Fields to update
+   */
+  update(job, changes) {
+    Object.assign(job, changes)
+    this.emit("update", this.toJSON(job))
+  }
+
+  /**
+   * Record a row-level or fatal error; only the first MAX_JOB_ERRORS are kept
+   * @param {Object} job - Job object
+   * @param {Object} error - Error details ({ line, message })
+   */
+  addError(job, error) {
+    if (job.errors.length < MAX_JOB_ERRORS) {
+      job.errors.push(error)
+    }
+  }
+
+  /**
+   * @param {Object} job - Job object
+   * @returns {Object} Serializable job snapshot
+   */
+  toJSON(job) {
+    return { ...job, errors: [...job.errors] }
+  }
+
+  /**
+   * @param {Object} job - Job object
+   * @returns {boolean} Whether the job has reached done or failed
+   */
+  isFinished(job) {
+    return job.state === "done" || job.state === "failed"
+  }
+}
+
+module.exports = new ImportJobManager()
@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require("async_hooks")
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+const FORMATS = ["json", "text"]
+
+/**
+ * Structured logger writing one JSON object per line
+ * Every line carries the correlation fields of the context it was written in
+ * (requestId for HTTP requests, jobId and importId for imports), so the lines
+ * of one request or import can be found together. LOG_LEVEL sets the minimum
+ * level (debug, info, warn, error or silent); LOG_FORMAT=text writes plain
+ * messages instead, for reading logs in a terminal.
+ */
+class Logger {
+  constructor() {
+    this.context = new AsyncLocalStorage()
+    this.configure({
+      level: process.env.LOG_LEVEL || "info",
+      format: process.env.LOG_FORMAT || "json",
+      stream: process.stdout,
+    })
+  }
+
+  /**
+   * @param {Object} settings - { level, format, stream }; unset settings keep their value
+   * @throws {Error} If the level or format is unknown
+   */
+  configure(settings) {
+    if (settings.level !== undefined && !Object.hasOwn(LEVELS, settings.level)) {
+      throw new Error(`Unknown log level '${settings.level}'. Use one of: ${Object.keys(LEVELS).join(", ")}`)
+    }
+    if (settings.format !== undefined && !FORMATS.includes(settings.format)) {
+      throw new Error(`Unknown log format '${settings.format}'. Use one of: ${FORMATS.join(", ")}`)
+    }
+
+    this.level = settings.level ?? this.level
+    this.format = settings.format ?? this.format
+    this.stream = settings.stream ?? this.stream
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields)
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields)
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields)
+  }
+
+  error(message, fields) {
+    this.write("error", message, fields)
+  }
+
+  /**
+   * @param {string} level - Log level
+   * @returns {boolean} Whether lines of this level are written
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level]
+  }
+
+  /**
+   * Run a function with correlation fields added to every line it logs,
+   * including lines logged by the callbacks and promises it starts
+   * @param {Object} fields - e.g. { requestId } or { jobId }
+   * @param {Function} fn - Function to run
+   * @returns {*} What fn returns
+   */
+  runWithContext(fields, fn) {
+    return this.context.run({ ...this.getContext(), ...fields }, fn)
+  }
+
+  /**
+   * Add correlation fields for the rest of the current async function
+   * Only call this after the function's first await; before it, the fields
+   * would also leak into the caller
+   * @param {Object} fields - e.g. { importId }
+   */
+  addContext(fields) {
+    this.context.enterWith({ ...this.getContext(), ...fields })
+  }
+
+  /**
+   * @returns {Object} Correlation fields of the current context
+   */
+  getContext() {
+    return this.context.getStore() || {}
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return
+
+    if (this.format === "text") {
+      const error = Object.values(fields).find((value) => value instanceof Error)
+      this.stream.write(`${message}${error ? `: ${error.stack || error.message}` : ""}\n`)
+      return
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.getContext() }
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value
+    }
+    this.stream.write(JSON.stringify(entry) + "\n")
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    stack: error.stack,
+  }
+}
+
+module.exports = new Logger()
@@ -0,0 +1,118 @@
+const client = require("prom-client")
+const { pool } = require("../config/database")
+
+/**
+ * Prometheus metrics, served by GET /metrics
+ * Besides the metrics below, the registry carries prom-client's default
+ * process and Node.js runtime metrics
+ */
+const register = new client.Registry()
+client.collectDefaultMetrics({ register })
+
+// Imports take from milliseconds to many minutes depending on the file
+const IMPORT_DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 900]
+
+const uploadsTotal = new client.Counter({
+  name: "csv_uploads_total",
+  help: "Files received by the upload endpoints",
+  labelNames: ["endpoint"],
+  registers: [register],
+})
+
+const uploadBytesTotal = new client.Counter({
+  name: "csv_upload_bytes_total",
+  help: "Bytes received by the upload endpoints",
+  labelNames: ["endpoint"],
+  registers: [register],
+})
+
+const importsTotal = new client.Counter({
+  name: "csv_imports_total",
+  help: "CSV files imported, by mapping profile and outcome (completed or failed)",
+  labelNames: ["profile", "status"],
+  registers: [register],
+})
+
+const importParseDuration = new client.Histogram({
+  name: "csv_import_parse_duration_seconds",
+  help: "Time spent parsing each imported CSV file",
+  labelNames: ["profile"],
+  buckets: IMPORT_DURATION_BUCKETS,
+  registers: [register],
+})
+
+const importInsertDuration = new client.Histogram({
+  name: "csv_import_insert_duration_seconds",
+  help: "Time spent writing the records of each imported CSV file, by method (insert, copy or upsert)",
+  labelNames: ["profile", "method"],
+  buckets: IMPORT_DURATION_BUCKETS,
+  registers: [register],
+})
+
+const importRowsTotal = new client.Counter({
+  name: "csv_import_rows_total",
+  help: "Rows of completed imports, by outcome (accepted or skipped)",
+  labelNames: ["profile", "outcome"],
+  registers: [register],
+})
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route and status code",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+})
+
+new client.Gauge({
+  name: "db_pool_connections",
+  help: "PostgreSQL pool connections by state (total, idle or waiting)",
+  labelNames: ["state"],
+  registers: [register],
+  collect() {
+    this.set({ state: "total" }, pool.totalCount)
+    this.set({ state: "idle" }, pool.idleCount)
+    this.set({ state: "waiting" }, pool.waitingCount)
+  },
+})
+
+/**
+ * @param {string} endpoint - Upload route, e.g. /api/upload-csv
+ * @param {number} bytes - Size of the uploaded file
+ */
+function recordUpload(endpoint, bytes) {
+  uploadsTotal.inc({ endpoint })
+  uploadBytesTotal.inc({ endpoint }, bytes)
+}
+
+/**
+ * Record one imported CSV file
+ * @param {Object} details - { profile, status, method, parseMs, insertMs, rowsAccepted, rowsSkipped };
+ *   failed imports only need profile and status
+ */
+function recordImport(details) {
+  importsTotal.inc({ profile: details.profile, status: details.status })
+  if (details.status !== "completed") return
+
+  importParseDuration.observe({ profile: details.profile }, details.parseMs / 1000)
+  importInsertDuration.observe({ profile: details.profile, method: details.method }, details.insertMs / 1000)
+  importRowsTotal.inc({ profile: details.profile, outcome: "accepted" }, details.rowsAccepted)
+  importRowsTotal.inc({ profile: details.profile, outcome: "skipped" }, details.rowsSkipped)
+}
+
+/**
+ * @param {Object} details - { method, route, status, durationMs }
+ */
+function recordHttpRequest(details) {
+  httpRequestDuration.observe(
+    { method: details.method, route: details.route, status: details.status },
+    details.durationMs / 1000,
+  )
+}
+
+module.exports = {
+  register,
+  recordUpload,
+  recordImport,
+  recordHttpRequest,
+}
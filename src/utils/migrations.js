@@ -0,0 +1,206 @@
+const fs = require("fs")
+const path = require("path")
+const { pool } = require("../config/database")
+const logger = require("./logger")
+
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations")
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/
+// Serializes concurrent migrate runs against the same database
+const MIGRATION_LOCK_ID = 7345120
+
+/**
+ * Read the migration files, e.g. 004_add_import_mapping_profile.up.sql and
+ * its .down.sql counterpart
+ * @param {string} [directory] - Directory holding the migration files
+ * @returns {Array} { version, name, up, down } sorted by version
+ * @throws {Error} If a file name is malformed, a version is reused or a direction is missing
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = new Map()
+
+  for (const file of fs.readdirSync(directory)) {
+    const match = file.match(MIGRATION_FILE_PATTERN)
+    if (!match) {
+      throw new Error(`Invalid migration file name '${file}'. Expected <version>_<name>.up.sql or .down.sql`)
+    }
+
+    const [, versionText, name, direction] = match
+    const version = Number.parseInt(versionText)
+    const migration = migrations.get(version) || { version, name, up: null, down: null }
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both '${migration.name}' and '${name}'`)
+    }
+
+    migration[direction] = fs.readFileSync(path.join(directory, file), "utf8")
+    migrations.set(version, migration)
+  }
+
+  for (const migration of migrations.values()) {
+    if (migration.up === null || migration.down === null) {
+      const missing = migration.up === null ? "up" : "down"
+      throw new Error(`Migration ${formatMigration(migration)} has no ${missing}.sql file`)
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version)
+}
+
+/**
+ * Compare the migration files with the versions recorded in schema_migrations
+ * @returns {Object} { applied, pending, missing } where missing lists applied
+ *   versions that no longer have migration files
+ */
+async function getMigrationStatus() {
+  const migrations = loadMigrations()
+  const appliedRows = await readAppliedMigrations(pool)
+  const appliedByVersion = new Map(appliedRows.map((row) => [row.version, row]))
+  const known = new Set(migrations.map((migration) => migration.version))
+
+  return {
+    applied: migrations
+      .filter((migration) => appliedByVersion.has(migration.version))
+      .map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: appliedByVersion.get(migration.version).applied_at,
+      })),
+    pending: migrations
+      .filter((migration) => !appliedByVersion.has(migration.version))
+      .map((migration) => ({ version: migration.version, name: migration.name })),
+    missing: appliedRows
+      .filter((row) => !known.has(row.version))
+      .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+  }
+}
+
+/**
+ * Apply pending migrations in version order, each in its own transaction
+ * @param {Object} [options] - Migration options
+ * @param {number} [options.to] - Stop after this version
+ * @returns {Array} Applied migrations ({ version, name })
+ */
+async function migrateUp(options = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await readAppliedMigrations(client)).map((row) => row.version))
+    const pending = loadMigrations().filter(
+      (migration) => !applied.has(migration.version) && (options.to === undefined || migration.version <= options.to),
+    )
+
+    for (const migration of pending) {
+      await runMigration(client, migration, "up")
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }))
+  })
+}
+
+/**
+ * Revert the most recently applied migrations, newest first
+ * @param {Object} [options] - Migration options
+ * @param {number} [options.steps] - Number of migrations to revert (default 1)
+ * @returns {Array} Reverted migrations ({ version, name })
+ * @throws {Error} If an applied migration has no file to revert it with
+ */
+async function migrateDown(options = {}) {
+  const steps = options.steps ?? 1
+
+  return withMigrationLock(async (client) => {
+    const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]))
+    const toRevert = (await readAppliedMigrations(client)).reverse().slice(0, steps)
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version)
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${row.version} (${row.name}): its files are missing`)
+      }
+      await runMigration(client, migration, "down")
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }))
+  })
+}
+
+/**
+ * @throws {Error} If migrations are pending, listing them
+ */
+async function assertNoPendingMigrations() {
+  const { pending } = await getMigrationStatus()
+  if (pending.length > 0) {
+    const names = pending.map(formatMigration).join(", ")
+    throw new Error(`Database schema is out of date, pending migrations: ${names}. Run 'npm run migrate up'`)
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  try {
+    await client.query("BEGIN")
+    await client.query(migration[direction])
+
+    if (direction === "up") {
+      await client.query("INSERT INTO public.schema_migrations (version, name) VALUES ($1, $2)", [
+        migration.version,
+        migration.name,
+      ])
+    } else {
+      await client.query("DELETE FROM public.schema_migrations WHERE version = $1", [migration.version])
+    }
+
+    await client.query("COMMIT")
+    logger.info(`${direction === "up" ? "Applied" : "Reverted"} migration ${formatMigration(migration)}`, {
+      version: migration.version,
+      name: migration.name,
+      direction,
+    })
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw new Error(`Migration ${formatMigration(migration)} (${direction}) failed: ${error.message}`)
+  }
+}
+
+async function withMigrationLock(task) {
+  const client = await pool.connect()
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID])
+    await ensureMigrationsTable(client)
+    return await task(client)
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {})
+    client.release()
+  }
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+/**
+ * @param {Object} db - Pool or client
+ * @returns {Array} schema_migrations rows in version order; empty if the table does not exist yet
+ */
+async function readAppliedMigrations(db) {
+  const exists = await db.query("SELECT to_regclass('public.schema_migrations') IS NOT NULL AS exists")
+  if (!exists.rows[0].exists) return []
+
+  const result = await db.query("SELECT version, name, applied_at FROM public.schema_migrations ORDER BY version")
+  return result.rows
+}
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, "0")}_${migration.name}`
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertNoPendingMigrations,
+  formatMigration,
+}
@@ -0,0 +1,99 @@
+const MAX_REJECTED_ROWS = 1000
+const MAX_WARNINGS = 1000
+
+/**
+ * Collects header problems, rejected rows and validation rule violations
+ * while a CSV file is parsed
+ * Only the first MAX_REJECTED_ROWS rejected rows and MAX_WARNINGS warnings
+ * are kept in full; the counters always cover the whole file
+ */
+class ParseReport {
+  constructor() {
+    this.headerProblems = []
+    this.rejectedRows = []
+    this.rejectedRowCount = 0
+    this.acceptedRowCount = 0
+    this.warnings = []
+    this.warningCount = 0
+    this.ruleViolations = new Map()
+    this.dialect = null
+  }
+
+  /**
+   * @param {Object} dialect - Dialect the file was parsed with
+   */
+  setDialect(dialect) {
+    this.dialect = dialect
+  }
+
+  /**
+   * @param {Object} problem - { type, severity: "error"|"warning", message, columns? }
+   */
+  addHeaderProblem(problem) {
+    this.headerProblems.push(problem)
+  }
+
+  /**
+   * @param {number} lineNumber - Line number where the row starts
+   * @param {string} reason - Why the row was rejected
+   * @param {string} raw - Raw row content
+   */
+  rejectRow(lineNumber, reason, raw) {
+    this.rejectedRowCount++
+
+    if (this.rejectedRows.length < MAX_REJECTED_ROWS) {
+      this.rejectedRows.push({ line: lineNumber, reason, raw })
+    }
+  }
+
+  /**
+   * Count violations of validation rules; warnings are also listed
+   * Rejected rows are recorded separately through rejectRow
+   * @param {number} lineNumber - Line number where the row starts
+   * @param {Array} violations - { rule, policy, message } from RecordValidator
+   */
+  addRuleViolations(lineNumber, violations) {
+    for (const violation of violations) {
+      if (!this.ruleViolations.has(violation.rule)) {
+        this.ruleViolations.set(violation.rule, { rule: violation.rule, policy: violation.policy, count: 0 })
+      }
+      this.ruleViolations.get(violation.rule).count++
+
+      if (violation.policy === "warn") {
+        this.warningCount++
+        if (this.warnings.length < MAX_WARNINGS) {
+          this.warnings.push({ line: lineNumber, rule: violation.rule, message: violation.message })
+        }
+      }
+    }
+  }
+
+  acceptRow() {
+    this.acceptedRowCount++
+  }
+
+  /**
+   * @returns {boolean} True when there are no header errors and no rejected rows
+   */
+  isValid() {
+    return this.rejectedRowCount === 0 && !this.headerProblems.some((problem) => problem.severity === "error")
+  }
+
+  toJSON() {
+    return {
+      valid: this.isValid(),
+      dialect: this.dialect,
+      headerProblems: this.headerProblems,
+      acceptedRows: this.acceptedRowCount,
+      rejectedRowCount: this.rejectedRowCount,
+      rejectedRows: this.rejectedRows,
+      rejectedRowsTruncated: this.rejectedRowCount > this.rejectedRows.length,
+      ruleViolations: [...this.ruleViolations.values()],
+      warningCount: this.warningCount,
+      warnings: this.warnings,
+      warningsTruncated: this.warningCount > this.warnings.length,
+    }
+  }
+}
+
+module.exports = ParseReport
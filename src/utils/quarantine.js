@@ -0,0 +1,299 @@
+const { pool } = require("../config/database")
+const csvParser = require("./csvParser")
+const { parseHeaderAnnotations } = require("./columnSchema")
+const { formatCSVRow } = require("./csvWriter")
+
+const QUARANTINE_STATUSES = ["pending", "retrying", "resolved", "discarded"]
+const QUARANTINE_BATCH_SIZE = 500
+const QUARANTINE_COLUMNS = 8
+// A retry still marked as running after this long was cut off, e.g. by a crash
+const STALE_RETRY_MINUTES = 10
+
+/**
+ * Collects the rows an import skips and writes them to public.quarantined_rows
+ * Rows are buffered and written in batches of QUARANTINE_BATCH_SIZE as soon as
+ * a batch is full, so a long run of bad rows never piles up in memory. The
+ * writes happen while the import runs, outside its
+ * transaction; if the import fails, its quarantined rows are removed again
+ * since the whole file has to be uploaded once more.
+ */
+class QuarantineBuffer {
+  /**
+   * @param {Object} details - { importId, fileName, uploadOptions }, where uploadOptions
+   *   are the form fields a retry needs to convert rows the same way
+   */
+  constructor(details) {
+    this.importId = details.importId
+    this.fileName = details.fileName
+    this.uploadOptions = details.uploadOptions || {}
+    this.headerLine = null
+    this.dialect = null
+    this.rows = []
+    this.count = 0
+  }
+
+  /**
+   * @param {string} line - Raw header line, annotations included
+   * @param {Object} dialect - Dialect the file is parsed with
+   */
+  setHeader(line, dialect) {
+    this.headerLine = line
+    this.dialect = dialect
+  }
+
+  /**
+   * Buffer a skipped row, writing the batch once it is full
+   * Return this from the parser's onRowSkipped so parsing waits for the write
+   * @param {number} lineNumber - Line number where the row starts
+   * @param {string} reason - Why the row was skipped
+   * @param {string} raw - Raw row content
+   * @returns {Promise} Resolves once a full batch has been written
+   */
+  add(lineNumber, reason, raw) {
+    this.rows.push({ lineNumber, reason, raw })
+    this.count++
+    return this.flush(false)
+  }
+
+  /**
+   * Write the buffered rows
+   * @param {boolean} [force] - Write even if fewer than a batch are buffered
+   */
+  async flush(force = true) {
+    if (this.rows.length === 0 || (!force && this.rows.length < QUARANTINE_BATCH_SIZE)) return
+
+    const rows = this.rows
+    this.rows = []
+    const params = []
+    const placeholders = rows.map((row, i) => {
+      const offset = i * QUARANTINE_COLUMNS
+      params.push(
+        this.importId,
+        this.fileName,
+        row.lineNumber,
+        this.headerLine,
+        row.raw,
+        row.reason,
+        JSON.stringify(this.dialect),
+        JSON.stringify(this.uploadOptions),
+      )
+      return `(${Array.from({ length: QUARANTINE_COLUMNS }, (_, j) => `$${offset + j + 1}`).join(", ")})`
+    })
+
+    await pool.query(
+      `INSERT INTO public.quarantined_rows
+         (import_id, file_name, line_number, header_line, raw, reason, dialect, upload_options)
+       VALUES ${placeholders.join(", ")}`,
+      params,
+    )
+  }
+
+  /**
+   * Pass records through, writing the last partial batch of quarantined rows
+   * once the records are exhausted
+   * @param {AsyncIterable} records - Records from the parser
+   * @returns {AsyncGenerator} Same records
+   */
+  async *writeWhileIterating(records) {
+    yield* records
+    await this.flush()
+  }
+
+  /**
+   * Remove the rows of a failed import, including those already written
+   */
+  async discard() {
+    this.rows = []
+    this.count = 0
+    await pool.query("DELETE FROM public.quarantined_rows WHERE import_id = $1", [this.importId])
+  }
+}
+
+/**
+ * List quarantined rows, oldest first
+ * @param {Object} options - { limit, offset, status, importId, fileName, search }
+ * @returns {Object} { rows, total }
+ */
+async function listQuarantinedRows(options) {
+  const params = [options.limit, options.offset]
+  const conditions = []
+
+  if (options.status) {
+    params.push(options.status)
+    conditions.push(`status = $${params.length}`)
+  }
+  if (options.importId) {
+    params.push(options.importId)
+    conditions.push(`import_id = $${params.length}`)
+  }
+  if (options.fileName) {
+    params.push(options.fileName)
+    conditions.push(`file_name = $${params.length}`)
+  }
+  if (options.search) {
+    params.push(`%${options.search}%`)
+    conditions.push(`(reason ILIKE $${params.length} OR raw ILIKE $${params.length})`)
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+  const result = await pool.query(
+    `SELECT *, COUNT(*) OVER () AS total FROM public.quarantined_rows ${where} ORDER BY id LIMIT $1 OFFSET $2`,
+    params,
+  )
+
+  return {
+    rows: result.rows.map(({ total, ...row }) => row),
+    total: result.rows.length > 0 ? Number.parseInt(result.rows[0].total) : 0,
+  }
+}
+
+/**
+ * @param {number} id - Quarantined row id
+ * @returns {Object|null} Quarantined row, or null if not found
+ */
+async function getQuarantinedRow(id) {
+  const result = await pool.query("SELECT * FROM public.quarantined_rows WHERE id = $1", [id])
+  return result.rows[0] || null
+}
+
+/**
+ * Claim pending rows for a retry by marking them as retrying
+ * Rows another retry has claimed are skipped, so concurrent retries never
+ * import a row twice; rows left retrying for STALE_RETRY_MINUTES are claimed again
+ * @param {Object} options - { ids } or { importId }, plus limit
+ * @returns {Array} Claimed quarantined rows, oldest first
+ */
+async function claimPendingRows(options) {
+  const params = [options.limit]
+  let condition
+
+  if (options.ids) {
+    params.push(options.ids)
+    condition = `id = ANY($2)`
+  } else {
+    params.push(options.importId)
+    condition = `import_id = $2`
+  }
+
+  const result = await pool.query(
+    `UPDATE public.quarantined_rows
+     SET status = 'retrying', updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM public.quarantined_rows
+       WHERE ${condition}
+         AND (status = 'pending'
+           OR (status = 'retrying' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_RETRY_MINUTES} minutes'))
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    params,
+  )
+  return result.rows.sort((a, b) => a.id - b.id)
+}
+
+/**
+ * Put claimed rows a retry did not finish back to pending
+ * @param {Array} ids - Quarantined row ids
+ */
+async function releaseRows(ids) {
+  await pool.query(
+    `UPDATE public.quarantined_rows
+     SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1) AND status = 'retrying'`,
+    [ids],
+  )
+}
+
+/**
+ * Fix a row's content or change its status
+ * Rows being retried or already imported are left unchanged
+ * @param {number} id - Quarantined row id
+ * @param {Object} changes - { raw, status }; unset fields keep their value
+ * @returns {Object|null} Updated row, or null if not found or not pending or discarded
+ */
+async function updateQuarantinedRow(id, changes) {
+  const result = await pool.query(
+    `UPDATE public.quarantined_rows
+     SET raw = COALESCE($2, raw), status = COALESCE($3, status), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('pending', 'discarded')
+     RETURNING *`,
+    [id, changes.raw ?? null, changes.status ?? null],
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Mark rows as imported by a retry
+ * @param {Array} ids - Quarantined row ids
+ * @param {number} importId - Import the retry created
+ */
+async function markRowsResolved(ids, importId) {
+  await pool.query(
+    `UPDATE public.quarantined_rows
+     SET status = 'resolved', resolved_import_id = $2, retry_count = retry_count + 1,
+         resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($1)`,
+    [ids, importId],
+  )
+}
+
+/**
+ * Put a row back to pending with the reason its retry failed
+ * @param {number} id - Quarantined row id
+ * @param {string} reason - Why the retry failed
+ */
+async function markRetryFailed(id, reason) {
+  await pool.query(
+    `UPDATE public.quarantined_rows
+     SET status = 'pending', reason = $2, retry_count = retry_count + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [id, reason],
+  )
+}
+
+/**
+ * Build a fixed raw line from new values for some or all columns
+ * Columns without a new value keep the current one, so this also repairs rows
+ * with too few or too many columns
+ * @param {Object} row - Quarantined row
+ * @param {Object|Array} values - New values by header name, or every value in column order
+ * @returns {string} Raw line in the row's dialect
+ * @throws {Error} If a header name is unknown or the array has the wrong length
+ */
+function rebuildRawRow(row, values) {
+  const dialect = row.dialect
+  const rawHeaders = csvParser.parseCSVRow(row.header_line.replace(/^\uFEFF/, ""), dialect, dialect.trimHeaders)
+  const { headers } = parseHeaderAnnotations(rawHeaders)
+  const current = csvParser.parseCSVRow(row.raw, dialect, false)
+
+  let fixed
+  if (Array.isArray(values)) {
+    if (values.length !== headers.length) {
+      throw new Error(`Expected ${headers.length} values, got ${values.length}`)
+    }
+    fixed = values
+  } else {
+    const unknown = Object.keys(values).find((header) => !headers.includes(header))
+    if (unknown) {
+      throw new Error(`Unknown column '${unknown}'. Columns: ${headers.join(", ")}`)
+    }
+    fixed = headers.map((header, i) => (Object.hasOwn(values, header) ? values[header] : (current[i] ?? "")))
+  }
+
+  return formatCSVRow(fixed, dialect).slice(0, -1)
+}
+
+module.exports = {
+  QUARANTINE_STATUSES,
+  QuarantineBuffer,
+  listQuarantinedRows,
+  getQuarantinedRow,
+  claimPendingRows,
+  releaseRows,
+  updateQuarantinedRow,
+  markRowsResolved,
+  markRetryFailed,
+  rebuildRawRow,
+}
@@ -0,0 +1,45 @@
+const WINDOW_MS = 60 * 1000
+
+/**
+ * In-memory fixed-window request counter, one window per key and minute
+ * Counts are per process; run one instance or accept a limit per instance
+ */
+class RateLimiter {
+  constructor() {
+    this.windows = new Map()
+  }
+
+  /**
+   * Count a request against a key's limit
+   * @param {string|number} key - What is being limited, e.g. an API key id
+   * @param {number} limit - Requests allowed per minute
+   * @returns {Object} { allowed, limit, remaining, resetAt } where resetAt is a timestamp in ms
+   */
+  hit(key, limit) {
+    const now = Date.now()
+    let window = this.windows.get(key)
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + WINDOW_MS }
+      this.windows.set(key, window)
+      this.prune(now)
+    }
+
+    window.count++
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt,
+    }
+  }
+
+  // Drop expired windows so keys that stopped calling do not accumulate
+  prune(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key)
+    }
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,275 @@
+const csvParser = require("./csvParser")
+const { parseValidationRules, mergeValidationRules } = require("./validationRules")
+
+const COLUMN_TYPES = ["text", "integer", "number", "boolean", "jsonb"]
+const TRANSFORMS = ["concat", "lowercase", "uppercase", "trim"]
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * Validate a mapping profile definition and resolve its defaults
+ * A definition looks like:
+ *   {
+ *     table: "public.users",
+ *     required: ["name.firstName", "name.lastName", "age"],
+ *     columns: {
+ *       name: { paths: ["name.firstName", "name.lastName"], transform: "concat", separator: " " },
+ *       age: { path: "age", type: "integer", default: 0 },
+ *       address: { path: "address", type: "jsonb" },
+ *     },
+ *     leftover: { column: "additional_info" },   // or "ignore"
+ *     importIdColumn: "import_id",
+ *     rules: [{ type: "format", path: "contact.email", format: "email" }],
+ *   }
+ * A min or max on an integer or number column becomes a range rule that rejects
+ * rows outside the range (see validationRules.parseValidationRules)
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile definition
+ * @returns {Object} Profile
+ * @throws {Error} If the definition is invalid
+ */
+function normalizeMappingProfile(name, definition) {
+  const fail = (message) => {
+    throw new Error(`Mapping profile '${name}': ${message}`)
+  }
+
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    fail("definition must be an object")
+  }
+
+  const tableParts = typeof definition.table === "string" ? definition.table.split(".") : []
+  if (tableParts.length < 1 || tableParts.length > 2 || !tableParts.every((part) => IDENTIFIER_PATTERN.test(part))) {
+    fail("table must be a table name such as public.orders")
+  }
+
+  const required = definition.required || []
+  if (!Array.isArray(required) || !required.every((path) => typeof path === "string")) {
+    fail("required must be an array of field paths")
+  }
+
+  if (!definition.columns || typeof definition.columns !== "object" || Object.keys(definition.columns).length === 0) {
+    fail("columns must map at least one column")
+  }
+
+  const columns = Object.entries(definition.columns).map(([column, mapping]) => {
+    if (!IDENTIFIER_PATTERN.test(column)) {
+      fail(`invalid column name '${column}'`)
+    }
+    if (typeof mapping === "string") {
+      mapping = { path: mapping }
+    }
+
+    const paths = mapping.paths || (mapping.path ? [mapping.path] : [])
+    if (!Array.isArray(paths) || paths.length === 0 || !paths.every((path) => typeof path === "string")) {
+      fail(`column '${column}' needs a path or paths`)
+    }
+    for (const path of paths) {
+      try {
+        csvParser.parsePropertyPath(path)
+      } catch (error) {
+        fail(`column '${column}': ${error.message}`)
+      }
+    }
+
+    const transform = mapping.transform || null
+    if (transform !== null && !TRANSFORMS.includes(transform)) {
+      fail(`column '${column}' has unknown transform '${transform}'. Supported: ${TRANSFORMS.join(", ")}`)
+    }
+    if (paths.length > 1 && transform !== "concat") {
+      fail(`column '${column}' maps several paths and needs the concat transform`)
+    }
+
+    const type = mapping.type || "text"
+    if (!COLUMN_TYPES.includes(type)) {
+      fail(`column '${column}' has unknown type '${type}'. Supported: ${COLUMN_TYPES.join(", ")}`)
+    }
+    if ((mapping.min != null || mapping.max != null) && (!["integer", "number"].includes(type) || paths.length > 1)) {
+      fail(`column '${column}': min and max need an integer or number column with a single path`)
+    }
+
+    return {
+      column,
+      paths,
+      transform,
+      separator: mapping.separator ?? " ",
+      type,
+      default: mapping.default ?? null,
+      min: mapping.min ?? null,
+      max: mapping.max ?? null,
+    }
+  })
+
+  let leftover = null
+  if (definition.leftover && definition.leftover !== "ignore") {
+    if (!IDENTIFIER_PATTERN.test(definition.leftover.column || "")) {
+      fail('leftover must be "ignore" or { column: "<jsonb column>" }')
+    }
+    leftover = { column: definition.leftover.column }
+  }
+
+  const importIdColumn = definition.importIdColumn || null
+  if (importIdColumn !== null && !IDENTIFIER_PATTERN.test(importIdColumn)) {
+    fail(`invalid importIdColumn '${importIdColumn}'`)
+  }
+
+  // A profile rule of the same name (e.g. range:age with policy warn) replaces a column's range
+  const rangeRules = columns
+    .filter((mapping) => mapping.min !== null || mapping.max !== null)
+    .map((mapping) => ({
+      type: "range",
+      path: mapping.paths[0],
+      min: mapping.min,
+      max: mapping.max,
+      integer: mapping.type === "integer",
+    }))
+  let rules
+  try {
+    rules = mergeValidationRules(parseValidationRules(rangeRules), parseValidationRules(definition.rules || []))
+  } catch (error) {
+    fail(error.message)
+  }
+
+  const mappedColumns = [...columns.map((mapping) => mapping.column), leftover?.column, importIdColumn]
+  const duplicate = mappedColumns.find((column, i) => column && mappedColumns.indexOf(column) !== i)
+  if (duplicate) {
+    fail(`column '${duplicate}' is mapped more than once`)
+  }
+
+  return {
+    name,
+    description: definition.description || "",
+    table: definition.table,
+    tableSQL: tableParts.map(quoteIdentifier).join("."),
+    required,
+    columns,
+    leftover,
+    importIdColumn,
+    rules,
+    // Root properties consumed by column mappings; everything else is leftover
+    mappedRoots: new Set(columns.flatMap((mapping) => mapping.paths.map((path) => csvParser.getRootProperty(path)))),
+  }
+}
+
+/**
+ * Map a nested record onto the columns of a profile's table
+ * @param {Object} profile - Profile from normalizeMappingProfile
+ * @param {Object} record - Nested record from CSVParser
+ * @returns {Object} Column values keyed by column name; jsonb columns hold objects (or null)
+ */
+function mapRecord(profile, record) {
+  const row = {}
+
+  for (const mapping of profile.columns) {
+    const values = mapping.paths.map((path) => getRecordValue(record, path))
+    let value = values[0]
+
+    if (mapping.transform === "concat") {
+      value = values.filter((part) => part !== undefined && part !== null && part !== "").join(mapping.separator)
+    } else if (typeof value === "string" && mapping.transform) {
+      value = applyTransform(mapping.transform, value)
+    }
+
+    row[mapping.column] = convertColumnValue(mapping, value)
+  }
+
+  if (profile.leftover) {
+    const leftover = {}
+    for (const [key, value] of Object.entries(record)) {
+      if (!profile.mappedRoots.has(key)) {
+        leftover[key] = value
+      }
+    }
+    row[profile.leftover.column] = Object.keys(leftover).length > 0 ? leftover : null
+  }
+
+  return row
+}
+
+/**
+ * @param {Object} profile - Profile from normalizeMappingProfile
+ * @returns {Array} Names of the columns mapRecord fills, in insert order
+ */
+function getMappedColumns(profile) {
+  return [...profile.columns.map((mapping) => mapping.column), ...(profile.leftover ? [profile.leftover.column] : [])]
+}
+
+/**
+ * @param {Object} profile - Profile from normalizeMappingProfile
+ * @param {string} column - Column name
+ * @returns {boolean} Whether the column holds JSONB
+ */
+function isJSONBColumn(profile, column) {
+  if (profile.leftover && profile.leftover.column === column) return true
+  return profile.columns.some((mapping) => mapping.column === column && mapping.type === "jsonb")
+}
+
+/**
+ * Read the value at a property path of a nested record
+ * @param {Object} record - Nested record
+ * @param {string} path - Dot-notation path, optionally with array indexes
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+function getRecordValue(record, path) {
+  let current = record
+
+  for (const key of csvParser.parsePropertyPath(path)) {
+    if (current === null || typeof current !== "object") return undefined
+    current = current[key]
+  }
+
+  return current
+}
+
+function applyTransform(transform, value) {
+  switch (transform) {
+    case "lowercase":
+      return value.toLowerCase()
+    case "uppercase":
+      return value.toUpperCase()
+    case "trim":
+      return value.trim()
+    default:
+      return value
+  }
+}
+
+function convertColumnValue(mapping, value) {
+  if (value === undefined || value === null || value === "") {
+    // Concatenating nothing still gives a (possibly empty) string
+    if (value === "" && mapping.type === "text") return value
+    return mapping.default
+  }
+
+  switch (mapping.type) {
+    case "integer":
+    case "number": {
+      // min and max are enforced by the column's range rule before records are mapped
+      const number = mapping.type === "integer" ? Number.parseInt(value) : Number.parseFloat(value)
+      return Number.isNaN(number) ? mapping.default : number
+    }
+
+    case "boolean":
+      if (typeof value === "boolean") return value
+      if (String(value).toLowerCase() === "true") return true
+      if (String(value).toLowerCase() === "false") return false
+      return mapping.default
+
+    case "jsonb":
+      return value
+
+    default:
+      return typeof value === "object" ? JSON.stringify(value) : String(value)
+  }
+}
+
+function quoteIdentifier(identifier) {
+  return `"${identifier}"`
+}
+
+module.exports = {
+  normalizeMappingProfile,
+  mapRecord,
+  getMappedColumns,
+  isJSONBColumn,
+  getRecordValue,
+  quoteIdentifier,
+}
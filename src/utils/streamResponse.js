@@ -0,0 +1,35 @@
+/**
+ * Write a chunk to an HTTP response, waiting for the socket to drain when its
+ * buffer is full so large exports never pile up in memory
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise} Resolves once more data may be written
+ * @throws {Error} If the client disconnects while waiting
+ */
+function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    return Promise.reject(new Error("Client disconnected"))
+  }
+
+  if (res.write(chunk)) {
+    return Promise.resolve()
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off("close", onClose)
+      resolve()
+    }
+    const onClose = () => {
+      res.off("drain", onDrain)
+      reject(new Error("Client disconnected"))
+    }
+
+    res.once("drain", onDrain)
+    res.once("close", onClose)
+  })
+}
+
+module.exports = {
+  writeChunk,
+}
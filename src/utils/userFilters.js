@@ -0,0 +1,158 @@
+const csvParser = require("./csvParser")
+
+const FILTER_PARAMS = ["minAge", "maxAge", "name", "createdFrom", "createdTo", "importId"]
+const JSONB_COLUMNS = ["address", "additional_info"]
+const JSONB_OPERATORS = ["eq", "contains"]
+
+/**
+ * Build a SQL WHERE clause for public.users from query string parameters
+ * Supported: minAge, maxAge, name (case-insensitive substring),
+ * createdFrom, createdTo (ISO 8601 dates or timestamps), importId and JSONB path filters
+ * on address and additional_info:
+ *   address.city=Pune                      value equals Pune
+ *   additional_info.tags[contains]=vip     array contains vip
+ * JSONB filters are containment (@>) queries so they can use the GIN indexes
+ * @param {Object} query - Request query parameters
+ * @param {Object} [options] - Filter options
+ * @param {Array} [options.allowedParams] - Other parameters the caller handles itself
+ * @returns {Object} { where, params } where `where` is empty or starts with WHERE
+ * @throws {Error} If a parameter is invalid or unknown
+ */
+function buildUserFilters(query = {}, options = {}) {
+  const allowedParams = options.allowedParams || []
+  const conditions = []
+  const params = []
+
+  const addCondition = (sql, value) => {
+    params.push(value)
+    conditions.push(sql.replace("?", `$${params.length}`))
+  }
+
+  for (const key of Object.keys(query)) {
+    if (!FILTER_PARAMS.includes(key) && !allowedParams.includes(key) && !isJSONBPath(key)) {
+      throw new Error(`Unknown query parameter '${key}'`)
+    }
+  }
+
+  if (query.minAge !== undefined) {
+    addCondition("age >= ?", parseInteger(query.minAge, "minAge"))
+  }
+
+  if (query.maxAge !== undefined) {
+    addCondition("age <= ?", parseInteger(query.maxAge, "maxAge"))
+  }
+
+  if (query.name !== undefined) {
+    if (typeof query.name !== "string" || query.name.trim() === "") {
+      throw new Error("Invalid name: expected a non-empty search string")
+    }
+    addCondition("name ILIKE ?", `%${escapeLikePattern(query.name.trim())}%`)
+  }
+
+  if (query.createdFrom !== undefined) {
+    addCondition("created_at >= ?", parseDate(query.createdFrom, "createdFrom"))
+  }
+
+  if (query.createdTo !== undefined) {
+    addCondition("created_at <= ?", parseDate(query.createdTo, "createdTo"))
+  }
+
+  if (query.importId !== undefined) {
+    addCondition("import_id = ?", parseInteger(query.importId, "importId"))
+  }
+
+  for (const key of Object.keys(query).filter(isJSONBPath)) {
+    const { column, keys } = parseJSONBPath(key)
+    const { operator, value } = parseJSONBFilterValue(key, query[key])
+
+    // Values were stored after type inference, so "42" may be held as 42 or "42"
+    const candidates = [value]
+    const typedValue = csvParser.convertValue(value)
+    if (typedValue !== value) {
+      candidates.push(typedValue)
+    }
+
+    const alternatives = candidates.map((candidate) => {
+      params.push(JSON.stringify(buildNestedValue(keys, operator === "contains" ? [candidate] : candidate)))
+      return `${column} @> $${params.length}::jsonb`
+    })
+    conditions.push(alternatives.length > 1 ? `(${alternatives.join(" OR ")})` : alternatives[0])
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  }
+}
+
+/**
+ * @param {string} key - Query parameter name
+ * @returns {boolean} Whether the parameter names a path inside a JSONB column
+ */
+function isJSONBPath(key) {
+  return JSONB_COLUMNS.some((column) => key.startsWith(`${column}.`))
+}
+
+/**
+ * Split a JSONB path such as address.city into its column and keys
+ * @param {string} path - Column-prefixed dot-notation path
+ * @returns {Object} { column, keys }
+ * @throws {Error} If the path is not inside a JSONB column or uses array indexes
+ */
+function parseJSONBPath(path) {
+  if (!isJSONBPath(path)) {
+    throw new Error(`Invalid path '${path}': expected it to start with ${JSONB_COLUMNS.join(". or ")}.`)
+  }
+
+  const [column, ...keys] = csvParser.parsePropertyPath(path)
+  if (keys.some((key) => typeof key === "number")) {
+    throw new Error(`Invalid path '${path}': array indexes are not supported in filters`)
+  }
+
+  return { column, keys }
+}
+
+function parseJSONBFilterValue(key, value) {
+  if (typeof value === "string") {
+    return { operator: "eq", value }
+  }
+
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    const operators = Object.keys(value)
+    if (operators.length === 1 && JSONB_OPERATORS.includes(operators[0]) && typeof value[operators[0]] === "string") {
+      return { operator: operators[0], value: value[operators[0]] }
+    }
+    throw new Error(`Invalid filter on '${key}': use ${key}=value or ${key}[contains]=value`)
+  }
+
+  throw new Error(`Invalid filter on '${key}': expected a single value`)
+}
+
+function buildNestedValue(keys, value) {
+  return keys.reduceRight((nested, key) => ({ [key]: nested }), value)
+}
+
+function parseInteger(value, name) {
+  if (typeof value !== "string" || !/^-?\d+$/.test(value)) {
+    throw new Error(`Invalid ${name}: expected an integer, got '${value}'`)
+  }
+  return Number.parseInt(value)
+}
+
+function parseDate(value, name) {
+  const date = new Date(value)
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: expected an ISO 8601 date, got '${value}'`)
+  }
+  return date.toISOString()
+}
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`)
+}
+
+module.exports = {
+  buildUserFilters,
+  parseJSONBPath,
+  parseInteger,
+}
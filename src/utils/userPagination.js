@@ -0,0 +1,187 @@
+const { parseJSONBPath, parseInteger } = require("./userFilters")
+
+const DEFAULT_PAGE_SIZE = 100
+const MAX_PAGE_SIZE = 1000
+
+// Sortable columns of public.users; JSONB paths are sorted by their text value
+const SORT_COLUMNS = {
+  id: { expression: "id", type: "integer", nullable: false },
+  name: { expression: "name", type: "text", nullable: false },
+  age: { expression: "age", type: "integer", nullable: false },
+  created_at: { expression: "created_at", type: "timestamp", nullable: true },
+}
+
+/**
+ * Parse a sort parameter such as "age", "-created_at" or "address.city"
+ * A leading "-" sorts descending. Rows are always tie-broken by id.
+ * @param {string} [value] - Sort parameter (defaults to id)
+ * @returns {Object} { field, descending }
+ * @throws {Error} If the field cannot be sorted on
+ */
+function parseUserSort(value = "id") {
+  if (typeof value !== "string" || value === "" || value === "-") {
+    throw new Error("Invalid sort: expected a field name, optionally prefixed with '-'")
+  }
+
+  const descending = value.startsWith("-")
+  const field = descending ? value.slice(1) : value
+
+  if (!SORT_COLUMNS[field]) {
+    try {
+      parseJSONBPath(field)
+    } catch {
+      const columns = Object.keys(SORT_COLUMNS).join(", ")
+      throw new Error(`Invalid sort '${field}': use one of ${columns}, or an address.* or additional_info.* path`)
+    }
+  }
+
+  return { field, descending }
+}
+
+/**
+ * @param {string} [value] - limit query parameter
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE
+ * @throws {Error} If the value is not an integer in range
+ */
+function parsePageLimit(value) {
+  if (value === undefined) return DEFAULT_PAGE_SIZE
+
+  const limit = parseInteger(value, "limit")
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit: expected a value between 1 and ${MAX_PAGE_SIZE}, got ${limit}`)
+  }
+  return limit
+}
+
+/**
+ * Offsets are deprecated in favour of cursors but still accepted
+ * @param {string} [value] - offset query parameter
+ * @returns {number} Rows to skip, 0 when unset
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parsePageOffset(value) {
+  if (value === undefined) return 0
+
+  const offset = parseInteger(value, "offset")
+  if (offset < 0) {
+    throw new Error(`Invalid offset: expected a value of 0 or more, got ${offset}`)
+  }
+  return offset
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} sort - Sort from parseUserSort
+ * @param {Object} row - Last row of a page, including its sort_value
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(sort, row) {
+  const payload = { sort: formatSort(sort), value: row.sort_value ?? null, id: row.id }
+  return Buffer.from(JSON.stringify(payload)).toString("base64url")
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - Sort of the current request
+ * @returns {Object} { value, id } position to continue after
+ * @throws {Error} If the cursor is malformed or was created for another sort
+ */
+function decodeCursor(cursor, sort) {
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+  } catch {
+    throw new Error("Invalid cursor")
+  }
+
+  if (
+    payload === null ||
+    typeof payload !== "object" ||
+    !Number.isInteger(payload.id) ||
+    (payload.value !== null && typeof payload.value !== "string")
+  ) {
+    throw new Error("Invalid cursor")
+  }
+
+  if (payload.sort !== formatSort(sort)) {
+    throw new Error(`Invalid cursor: it was created for sort '${payload.sort}', not '${formatSort(sort)}'`)
+  }
+
+  return { value: payload.value, id: payload.id }
+}
+
+/**
+ * Build a keyset-paginated SELECT over public.users
+ * Instead of OFFSET, the query continues after the cursor position, so deep
+ * pages cost the same as the first one. NULL sort values come last in both directions.
+ * A deprecated offset skips rows the old way.
+ * @param {Object} filters - { where, params } from buildUserFilters
+ * @param {Object} page - { sort, cursor, limit, offset } where cursor is decoded or null
+ * @returns {Object} { text, values } for pool.query; rows carry a text sort_value
+ */
+function buildUserPageQuery(filters, page) {
+  const params = [...filters.params]
+  const addParam = (value) => {
+    params.push(value)
+    return `$${params.length}`
+  }
+
+  const { sort, cursor, limit, offset } = page
+  const column = resolveSortColumn(sort.field, addParam)
+  const direction = sort.descending ? "DESC" : "ASC"
+  const comparison = sort.descending ? "<" : ">"
+  const conditions = filters.where ? [filters.where.replace(/^WHERE /, "")] : []
+
+  if (cursor) {
+    const id = addParam(cursor.id)
+
+    if (sort.field === "id") {
+      conditions.push(`id ${comparison} ${id}`)
+    } else if (cursor.value === null) {
+      conditions.push(`(${column.expression} IS NULL AND id ${comparison} ${id})`)
+    } else if (!column.nullable) {
+      // Row comparison lets Postgres walk an index on the sort column
+      conditions.push(`(${column.expression}, id) ${comparison} (${addParam(cursor.value)}::${column.type}, ${id})`)
+    } else {
+      const value = `${addParam(cursor.value)}::${column.type}`
+      conditions.push(
+        `(${column.expression} ${comparison} ${value} OR (${column.expression} = ${value} AND id ${comparison} ${id}) ` +
+          `OR ${column.expression} IS NULL)`,
+      )
+    }
+  }
+
+  let orderBy = `id ${direction}`
+  if (sort.field !== "id") {
+    orderBy = `${column.expression} ${direction}${column.nullable ? " NULLS LAST" : ""}, ${orderBy}`
+  }
+
+  return {
+    text: `SELECT *, (${column.expression})::text AS sort_value
+      FROM public.users
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY ${orderBy}
+      LIMIT ${addParam(limit)}${offset ? ` OFFSET ${addParam(offset)}` : ""}`,
+    values: params,
+  }
+}
+
+function resolveSortColumn(field, addParam) {
+  if (SORT_COLUMNS[field]) return SORT_COLUMNS[field]
+
+  const { column, keys } = parseJSONBPath(field)
+  return { expression: `${column} #>> ${addParam(keys)}::text[]`, type: "text", nullable: true }
+}
+
+function formatSort(sort) {
+  return `${sort.descending ? "-" : ""}${sort.field}`
+}
+
+module.exports = {
+  parseUserSort,
+  parsePageLimit,
+  parsePageOffset,
+  encodeCursor,
+  decodeCursor,
+  buildUserPageQuery,
+}
@@ -0,0 +1,165 @@
+const csvParser = require("./csvParser")
+const { DEFAULT_MAPPING_PROFILE, getMappingProfile } = require("../config/mappingProfiles")
+const { mapRecord, getRecordValue } = require("./recordMapper")
+
+// Rows imported before first_name and last_name existed have neither set
+const NAME_PARTS_STORED = "(first_name IS NOT NULL OR last_name IS NOT NULL)"
+
+/**
+ * Map a nested record onto the columns of public.users
+ * @param {Object} record - Nested record from CSVParser
+ * @returns {Object} { name, first_name, last_name, age, address, additional_info }; JSONB columns as objects (or null)
+ */
+function recordToRow(record) {
+  return mapRecord(getMappingProfile(DEFAULT_MAPPING_PROFILE), record)
+}
+
+/**
+ * Rebuild the nested record a user row was imported from
+ * firstName and lastName come from first_name and last_name; rows imported
+ * before those columns existed have the name split at the first space instead.
+ * additional_info is merged back into the top level
+ * @param {Object} row - Row from public.users
+ * @returns {Object} Nested record in the shape CSVParser produces
+ */
+function rowToRecord(row) {
+  let firstName = row.first_name ?? null
+  let lastName = row.last_name ?? null
+  if (firstName === null && lastName === null) {
+    const [first, ...lastNameParts] = (row.name || "").split(" ")
+    firstName = first
+    lastName = lastNameParts.join(" ")
+  }
+
+  const record = {
+    name: lastName ? { firstName, lastName } : { firstName },
+    age: row.age,
+  }
+
+  if (row.address) {
+    record.address = row.address
+  }
+
+  return Object.assign(record, row.additional_info || {})
+}
+
+/**
+ * Build a SQL expression reading a record path from a public.users row as text
+ * Mirrors rowToRecord: name parts come from first_name and last_name (or the
+ * name split at the first space for rows without them), address.*
+ * reads the address column and every other path reads additional_info
+ * @param {string} path - Dot-notation path
+ * @param {Function} addParam - Adds a query parameter and returns its placeholder
+ * @returns {string} SQL expression of type text
+ */
+function recordPathToSQL(path, addParam) {
+  const [column, ...keys] = csvParser.parsePropertyPath(path)
+
+  if (column === "name") {
+    if (keys.length === 0) return "name"
+    if (keys.length === 1 && keys[0] === "firstName") {
+      return `CASE WHEN ${NAME_PARTS_STORED} THEN first_name ELSE split_part(name, ' ', 1) END`
+    }
+    if (keys.length === 1 && keys[0] === "lastName") {
+      const splitLastName = "NULLIF(substr(name, length(split_part(name, ' ', 1)) + 2), '')"
+      return `CASE WHEN ${NAME_PARTS_STORED} THEN last_name ELSE ${splitLastName} END`
+    }
+    throw new Error(`Unsupported name path '${path}'. Use name, name.firstName or name.lastName.`)
+  }
+
+  if (column === "age") {
+    if (keys.length > 0) throw new Error(`Unsupported age path '${path}'`)
+    return "age::text"
+  }
+
+  if (column === "address") {
+    return keys.length === 0 ? "address::text" : `address #>> ${addParam(keys.map(String))}::text[]`
+  }
+
+  return `additional_info #>> ${addParam([column, ...keys].map(String))}::text[]`
+}
+
+/**
+ * Build a SQL expression reading a record path stored in a JSONB column as jsonb
+ * Only address.* and additional_info paths are stored as JSONB; name and age
+ * are plain columns
+ * @param {string} path - Dot-notation path
+ * @param {Function} addParam - Adds a query parameter and returns its placeholder
+ * @returns {string|null} SQL expression of type jsonb, or null for name and age paths
+ */
+function recordPathToJSONB(path, addParam) {
+  const [column, ...keys] = csvParser.parsePropertyPath(path)
+
+  if (column === "name" || column === "age") return null
+  if (column === "address") {
+    return keys.length === 0 ? "address" : `address #> ${addParam(keys.map(String))}::text[]`
+  }
+
+  return `additional_info #> ${addParam([column, ...keys].map(String))}::text[]`
+}
+
+/**
+ * Compare two user rows by content, ignoring JSONB key order
+ * @param {Object} a - Row with name, first_name, last_name, age, address, additional_info
+ * @param {Object} b - Row with name, first_name, last_name, age, address, additional_info
+ * @returns {boolean} Whether both rows hold the same data
+ */
+function rowsEqual(a, b) {
+  return (
+    a.name === b.name &&
+    (a.first_name ?? null) === (b.first_name ?? null) &&
+    (a.last_name ?? null) === (b.last_name ?? null) &&
+    Number(a.age) === Number(b.age) &&
+    isDeepEqual(a.address ?? null, b.address ?? null) &&
+    isDeepEqual(a.additional_info ?? null, b.additional_info ?? null)
+  )
+}
+
+function isDeepEqual(a, b) {
+  if (a === b) return true
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  return keysA.length === keysB.length && keysA.every((key) => key in b && isDeepEqual(a[key], b[key]))
+}
+
+/**
+ * Iterate over users with a server-side cursor, fetching one batch at a time
+ * Must be called on a client inside a transaction
+ * @param {Object} client - Connected pg client
+ * @param {Object} [options] - Query options
+ * @param {string} [options.where] - SQL WHERE clause (including the keyword)
+ * @param {Array} [options.params] - Parameters for the WHERE clause
+ * @param {number} [options.batchSize] - Rows per FETCH
+ * @returns {AsyncGenerator<Object>} User rows ordered by id
+ */
+async function* iterateUsers(client, options = {}) {
+  const { where = "", params = [], batchSize = 1000 } = options
+  const cursorName = `users_cursor_${Date.now()}_${Math.round(Math.random() * 1e6)}`
+
+  await client.query(`DECLARE ${cursorName} NO SCROLL CURSOR FOR SELECT * FROM public.users ${where} ORDER BY id`, params)
+
+  try {
+    while (true) {
+      const result = await client.query(`FETCH ${batchSize} FROM ${cursorName}`)
+      yield* result.rows
+
+      if (result.rows.length < batchSize) break
+    }
+  } finally {
+    // Fails only if the transaction is already aborted, in which case the rollback closes the cursor
+    await client.query(`CLOSE ${cursorName}`).catch(() => {})
+  }
+}
+
+module.exports = {
+  recordToRow,
+  getRecordValue,
+  recordPathToSQL,
+  recordPathToJSONB,
+  rowsEqual,
+  rowToRecord,
+  iterateUsers,
+}
@@ -0,0 +1,342 @@
+const csvParser = require("./csvParser")
+
+const RULE_TYPES = ["required", "range", "pattern", "format", "enum", "compare"]
+const RULE_POLICIES = ["reject", "warn", "fail"]
+const COMPARE_OPERATORS = ["<", "<=", ">", ">=", "==", "!="]
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  // Digits with optional +country code, spaces, dots, dashes and parentheses
+  phone: /^\+?[\d\s().-]{7,20}$/,
+  postalCode: /^[A-Za-z0-9][A-Za-z0-9 -]{1,8}[A-Za-z0-9]$/,
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/
+
+/**
+ * Validate rule definitions and compile them for RecordValidator
+ * A definition looks like:
+ *   { type: "range", path: "age", min: 0, max: 150, integer: true, policy: "reject" }
+ *   { type: "format", path: "contact.email", format: "email", policy: "warn" }
+ *   { type: "pattern", path: "sku", pattern: "^[A-Z]{3}-\\d+$" }
+ *   { type: "enum", path: "status", values: ["active", "inactive"] }
+ *   { type: "required", paths: ["contact.email", "address.city"] }
+ *   { type: "compare", path: "shippedAt", operator: ">=", otherPath: "orderedAt" }
+ * Every rule may also set a name (default "<type>:<path>"), a message, and
+ * when: { path, equals? } to apply only to rows where another field is set
+ * (or has the given value). Policies: reject the row (default), warn and keep
+ * it, or fail the whole import.
+ * Pattern rules compile a regular expression, which a crafted pattern can make
+ * run for minutes (catastrophic backtracking), so only trusted sources such as
+ * the mapping profiles file may use them.
+ * @param {Array} definitions - Rule definitions
+ * @param {Object} [options] - { allowPatterns } (default true)
+ * @returns {Array} Rules
+ * @throws {Error} If a definition is invalid or two rules share a name
+ */
+function parseValidationRules(definitions, options = {}) {
+  if (!Array.isArray(definitions)) {
+    throw new Error("Validation rules must be an array")
+  }
+
+  const allowPatterns = options.allowPatterns ?? true
+  const rules = definitions.map((definition, index) => normalizeRule(definition, index, allowPatterns))
+  const names = rules.map((rule) => rule.name)
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i)
+  if (duplicate) {
+    throw new Error(`Validation rule name '${duplicate}' is used more than once`)
+  }
+
+  return rules
+}
+
+/**
+ * Combine a mapping profile's rules with the rules sent with an upload
+ * An upload rule replaces the profile rule of the same name, e.g. to relax
+ * range:age to a warning for one file
+ * @param {Array} profileRules - Rules from the mapping profile
+ * @param {Array} uploadRules - Rules from the upload
+ * @returns {Array} Combined rules
+ */
+function mergeValidationRules(profileRules, uploadRules) {
+  const overridden = new Set(uploadRules.map((rule) => rule.name))
+  return [...profileRules.filter((rule) => !overridden.has(rule.name)), ...uploadRules]
+}
+
+function normalizeRule(definition, index, allowPatterns) {
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    throw new Error(`Validation rule ${index + 1} must be an object`)
+  }
+
+  const type = definition.type
+  const paths = definition.paths || (definition.path !== undefined ? [definition.path] : [])
+  const name = definition.name || `${type}:${paths.join(",")}`
+  const fail = (message) => {
+    throw new Error(`Validation rule ${index + 1} ('${name}'): ${message}`)
+  }
+
+  if (!RULE_TYPES.includes(type)) {
+    fail(`unknown type '${type}'. Use one of: ${RULE_TYPES.join(", ")}`)
+  }
+
+  const policy = definition.policy || "reject"
+  if (!RULE_POLICIES.includes(policy)) {
+    fail(`unknown policy '${policy}'. Use one of: ${RULE_POLICIES.join(", ")}`)
+  }
+
+  if (!Array.isArray(paths) || paths.length === 0 || !paths.every((path) => typeof path === "string")) {
+    fail("needs a path (or paths for required)")
+  }
+  if (type !== "required" && paths.length > 1) {
+    fail(`${type} rules check a single path`)
+  }
+
+  const rule = {
+    name,
+    type,
+    policy,
+    paths,
+    keys: paths.map((path) => parsePath(path, fail)),
+    message: definition.message || null,
+    when: null,
+    definition: { ...definition, name, policy },
+  }
+
+  if (definition.when !== undefined) {
+    if (!definition.when || typeof definition.when.path !== "string") {
+      fail("when needs a path")
+    }
+    rule.when = {
+      path: definition.when.path,
+      keys: parsePath(definition.when.path, fail),
+      hasEquals: Object.prototype.hasOwnProperty.call(definition.when, "equals"),
+      equals: definition.when.equals,
+    }
+  }
+
+  switch (type) {
+    case "range": {
+      const { min = null, max = null } = definition
+      if (min === null && max === null) {
+        fail("needs min, max or both")
+      }
+      if ((min !== null && !isFiniteNumber(min)) || (max !== null && !isFiniteNumber(max))) {
+        fail("min and max must be numbers")
+      }
+      Object.assign(rule, { min, max, integer: Boolean(definition.integer) })
+      break
+    }
+
+    case "pattern":
+      if (!allowPatterns) {
+        fail("pattern rules can only be defined in a mapping profile; use format or enum rules instead")
+      }
+      if (typeof definition.pattern !== "string") {
+        fail("needs a pattern")
+      }
+      try {
+        rule.regex = new RegExp(definition.pattern, definition.flags || "")
+      } catch (error) {
+        fail(error.message)
+      }
+      break
+
+    case "format":
+      if (!Object.prototype.hasOwnProperty.call(FORMATS, definition.format)) {
+        fail(`unknown format '${definition.format}'. Use one of: ${Object.keys(FORMATS).join(", ")}`)
+      }
+      Object.assign(rule, { format: definition.format, regex: FORMATS[definition.format] })
+      break
+
+    case "enum":
+      if (!Array.isArray(definition.values) || definition.values.length === 0) {
+        fail("needs a non-empty values array")
+      }
+      rule.values = new Set(definition.values.map(String))
+      break
+
+    case "compare":
+      if (!COMPARE_OPERATORS.includes(definition.operator)) {
+        fail(`unknown operator '${definition.operator}'. Use one of: ${COMPARE_OPERATORS.join(" ")}`)
+      }
+      if (typeof definition.otherPath !== "string") {
+        fail("needs an otherPath to compare with")
+      }
+      Object.assign(rule, {
+        operator: definition.operator,
+        otherPath: definition.otherPath,
+        otherKeys: parsePath(definition.otherPath, fail),
+      })
+      break
+  }
+
+  return rule
+}
+
+/**
+ * Checks parsed records against validation rules
+ * Passed to CSVParser.parseCSVStream as the validator option
+ */
+class RecordValidator {
+  /**
+   * @param {Array} rules - Rules from parseValidationRules
+   */
+  constructor(rules) {
+    this.rules = rules
+  }
+
+  /**
+   * @param {Object} record - Nested record
+   * @returns {Array} Violations as { rule, policy, message }; empty when the record passes
+   */
+  validate(record) {
+    const violations = []
+
+    for (const rule of this.rules) {
+      if (rule.when && !matchesCondition(rule.when, record)) continue
+
+      const problem = checkRule(rule, record)
+      if (problem) {
+        violations.push({ rule: rule.name, policy: rule.policy, message: rule.message || problem })
+      }
+    }
+
+    return violations
+  }
+}
+
+/**
+ * @param {Object} rule - Compiled rule
+ * @param {Object} record - Nested record
+ * @returns {string|null} What is wrong, or null if the rule passes
+ */
+function checkRule(rule, record) {
+  if (rule.type === "required") {
+    const missing = rule.paths.filter((path, i) => isMissing(readPath(record, rule.keys[i])))
+    return missing.length > 0 ? `${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} required` : null
+  }
+
+  const path = rule.paths[0]
+  const value = readPath(record, rule.keys[0])
+  // Missing values are the required rule's business
+  if (isMissing(value)) return null
+
+  switch (rule.type) {
+    case "range": {
+      const number = isNumeric(value) ? Number(value) : NaN
+      if (!Number.isFinite(number)) {
+        return `${path}: '${value}' is not a number`
+      }
+      if (rule.integer && !Number.isInteger(number)) {
+        return `${path}: ${value} is not a whole number`
+      }
+      if (rule.min !== null && number < rule.min) {
+        return `${path}: ${number} is below the minimum of ${rule.min}`
+      }
+      if (rule.max !== null && number > rule.max) {
+        return `${path}: ${number} is above the maximum of ${rule.max}`
+      }
+      return null
+    }
+
+    case "pattern":
+      return rule.regex.test(String(value)) ? null : `${path}: '${value}' does not match ${rule.regex}`
+
+    case "format":
+      return rule.regex.test(String(value)) ? null : `${path}: '${value}' is not a valid ${rule.format}`
+
+    case "enum":
+      return rule.values.has(String(value)) ? null : `${path}: '${value}' is not one of ${[...rule.values].join(", ")}`
+
+    case "compare": {
+      const other = readPath(record, rule.otherKeys)
+      if (isMissing(other)) return null
+
+      return compareValues(value, other, rule.operator)
+        ? null
+        : `${path} (${value}) must be ${rule.operator} ${rule.otherPath} (${other})`
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Compare numbers numerically, ISO dates chronologically and anything else as text
+ */
+function compareValues(left, right, operator) {
+  let a = left
+  let b = right
+
+  if (isNumeric(left) && isNumeric(right)) {
+    a = Number(left)
+    b = Number(right)
+  } else if (ISO_DATE_PATTERN.test(String(left)) && ISO_DATE_PATTERN.test(String(right))) {
+    a = new Date(left).getTime()
+    b = new Date(right).getTime()
+  } else {
+    a = String(left)
+    b = String(right)
+  }
+
+  switch (operator) {
+    case "<":
+      return a < b
+    case "<=":
+      return a <= b
+    case ">":
+      return a > b
+    case ">=":
+      return a >= b
+    case "==":
+      return a === b
+    default:
+      return a !== b
+  }
+}
+
+function matchesCondition(when, record) {
+  const value = readPath(record, when.keys)
+  if (isMissing(value)) return false
+  return !when.hasEquals || String(value) === String(when.equals)
+}
+
+function readPath(record, keys) {
+  let current = record
+
+  for (const key of keys) {
+    if (current === null || typeof current !== "object") return undefined
+    current = current[key]
+  }
+
+  return current
+}
+
+function parsePath(path, fail) {
+  try {
+    return csvParser.parsePropertyPath(path)
+  } catch (error) {
+    fail(error.message)
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === ""
+}
+
+function isNumeric(value) {
+  return typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value)))
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value)
+}
+
+module.exports = {
+  RULE_TYPES,
+  RULE_POLICIES,
+  parseValidationRules,
+  mergeValidationRules,
+  RecordValidator,
+}
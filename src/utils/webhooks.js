@@ -0,0 +1,381 @@
+const crypto = require("crypto")
+const { pool } = require("../config/database")
+const logger = require("./logger")
+
+const WEBHOOK_EVENTS = ["import.completed", "import.failed"]
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"]
+const SECRET_PREFIX = "whsec_"
+const MIN_SECRET_LENGTH = 16
+// Only this many bytes of a receiver's answer are read and logged
+const MAX_RESPONSE_BODY_BYTES = 2000
+
+const MAX_ATTEMPTS = Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5
+const RETRY_BASE_MS = Number.parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000
+const TIMEOUT_MS = Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000
+
+// Columns returned to callers; the secret is only returned when a webhook is created
+const WEBHOOK_COLUMNS = "id, url, events, description, api_key_id, created_at"
+
+/**
+ * Validate the settings of a new webhook
+ * @param {Object} input - { url, events, secret, description }
+ *   events may be an array or a comma-separated string and default to every event
+ * @returns {Object} Normalized settings; a secret is generated when none is given
+ * @throws {Error} If a setting is invalid
+ */
+function normalizeWebhookOptions(input = {}) {
+  let url
+  try {
+    url = new URL(String(input.url || ""))
+  } catch {
+    throw new Error("A valid webhook url is required")
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Webhook url must use http or https")
+  }
+
+  const events =
+    input.events === undefined
+      ? WEBHOOK_EVENTS
+      : (Array.isArray(input.events) ? input.events : String(input.events).split(","))
+          .map((event) => String(event).trim())
+          .filter(Boolean)
+  if (events.length === 0) {
+    throw new Error(`At least one event is required. Use any of: ${WEBHOOK_EVENTS.join(", ")}`)
+  }
+  const unknownEvent = events.find((event) => !WEBHOOK_EVENTS.includes(event))
+  if (unknownEvent) {
+    throw new Error(`Unknown event '${unknownEvent}'. Use any of: ${WEBHOOK_EVENTS.join(", ")}`)
+  }
+
+  if (input.secret !== undefined && (typeof input.secret !== "string" || input.secret.length < MIN_SECRET_LENGTH)) {
+    throw new Error(`Webhook secret must be a string of at least ${MIN_SECRET_LENGTH} characters`)
+  }
+  if (input.description !== undefined && input.description !== null && typeof input.description !== "string") {
+    throw new Error("Webhook description must be a string")
+  }
+
+  return {
+    url: url.toString(),
+    events: [...new Set(events)],
+    secret: input.secret ?? SECRET_PREFIX + crypto.randomBytes(24).toString("base64url"),
+    description: input.description || null,
+  }
+}
+
+/**
+ * Register a webhook
+ * @param {Object} options - Settings from normalizeWebhookOptions
+ * @param {number|null} [apiKeyId] - Key that registered it
+ * @returns {Object} Webhook, including its secret
+ */
+async function createWebhook(options, apiKeyId = null) {
+  const result = await pool.query(
+    `INSERT INTO public.webhooks (url, secret, events, description, api_key_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${WEBHOOK_COLUMNS}, secret`,
+    [options.url, options.secret, options.events, options.description, apiKeyId],
+  )
+  return result.rows[0]
+}
+
+/**
+ * @returns {Array} Webhooks, newest first
+ */
+async function listWebhooks() {
+  const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM public.webhooks ORDER BY id DESC`)
+  return result.rows
+}
+
+/**
+ * @param {number} id - Webhook id
+ * @returns {Object|null} Webhook, or null if not found
+ */
+async function getWebhook(id) {
+  const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM public.webhooks WHERE id = $1`, [id])
+  return result.rows[0] || null
+}
+
+/**
+ * Remove a webhook together with its delivery log
+ * @param {number} id - Webhook id
+ * @returns {boolean} Whether the webhook existed
+ */
+async function deleteWebhook(id) {
+  const result = await pool.query("DELETE FROM public.webhooks WHERE id = $1", [id])
+  return result.rowCount > 0
+}
+
+/**
+ * List a webhook's deliveries, newest first
+ * @param {number} webhookId - Webhook id
+ * @param {Object} options - { limit, offset, status }
+ * @returns {Object} { deliveries, total }
+ */
+async function listDeliveries(webhookId, options) {
+  const params = [webhookId, options.limit, options.offset]
+  let where = "WHERE webhook_id = $1"
+
+  if (options.status) {
+    params.push(options.status)
+    where += " AND status = $4"
+  }
+
+  const result = await pool.query(
+    `SELECT *, COUNT(*) OVER () AS total FROM public.webhook_deliveries ${where}
+     ORDER BY id DESC LIMIT $2 OFFSET $3`,
+    params,
+  )
+
+  return {
+    deliveries: result.rows.map(({ total, ...delivery }) => delivery),
+    total: result.rows.length > 0 ? Number.parseInt(result.rows[0].total) : 0,
+  }
+}
+
+/**
+ * @param {number} webhookId - Webhook id
+ * @param {number} id - Delivery id
+ * @returns {Object|null} Delivery, or null if the webhook has no such delivery
+ */
+async function getDelivery(webhookId, id) {
+  const result = await pool.query("SELECT * FROM public.webhook_deliveries WHERE webhook_id = $1 AND id = $2", [
+    webhookId,
+    id,
+  ])
+  return result.rows[0] || null
+}
+
+/**
+ * Read the start of a response body and cancel the rest of the stream, so a
+ * receiver answering with a huge body cannot make us buffer it
+ * @param {Response} response - fetch response
+ * @param {number} maxBytes - Bytes to read at most
+ * @returns {string} Body prefix
+ */
+async function readBodyPrefix(response, maxBytes) {
+  if (!response.body) return ""
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let length = 0
+  try {
+    while (length < maxBytes) {
+      const { done, value } = await reader.read()
+      if (done) break
+      chunks.push(value)
+      length += value.length
+    }
+  } finally {
+    reader.cancel().catch(() => {})
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString("utf8")
+}
+
+/**
+ * Sign a request body the way receivers are expected to verify it:
+ * HMAC-SHA256 over "<timestamp>.<body>" with the webhook's secret
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Signature as sent in X-Webhook-Signature ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+/**
+ * Delivers events to the webhooks subscribed to them
+ * Every delivery is logged in public.webhook_deliveries. A delivery that does
+ * not get a 2xx answer is retried with exponential backoff (RETRY_BASE_MS,
+ * doubling per attempt) until MAX_ATTEMPTS, then marked failed. Retries are
+ * scheduled in memory; resumePending picks them up again after a restart.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.timers = new Map()
+    this.inFlight = new Set()
+    this.stopped = false
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it
+   * Callers need not wait: stop() waits for events still being queued
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Function} buildData - () => event data, possibly async; only called when someone is subscribed
+   * @returns {Promise<Array>} Ids of the queued deliveries
+   */
+  dispatch(event, buildData) {
+    const queued = this.queue(event, buildData).finally(() => this.inFlight.delete(queued))
+    this.inFlight.add(queued)
+    return queued
+  }
+
+  async queue(event, buildData) {
+    const webhooks = await pool.query("SELECT id FROM public.webhooks WHERE $1 = ANY(events) ORDER BY id", [event])
+    if (webhooks.rows.length === 0) return []
+
+    const payload = { event, createdAt: new Date().toISOString(), data: await buildData() }
+    const ids = []
+    for (const webhook of webhooks.rows) {
+      const result = await pool.query(
+        `INSERT INTO public.webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+         RETURNING id`,
+        [webhook.id, event, JSON.stringify(payload)],
+      )
+      ids.push(result.rows[0].id)
+      this.schedule(result.rows[0].id, 0)
+    }
+
+    return ids
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery with a fresh set of attempts
+   * @param {Object} delivery - Delivery to repeat
+   * @returns {Object} New delivery
+   */
+  async redeliver(delivery) {
+    const result = await pool.query(
+      `INSERT INTO public.webhook_deliveries (webhook_id, event, payload, next_attempt_at, redelivery_of)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+       RETURNING *`,
+      [delivery.webhook_id, delivery.event, JSON.stringify(delivery.payload), delivery.id],
+    )
+    this.schedule(result.rows[0].id, 0)
+    return result.rows[0]
+  }
+
+  /**
+   * Schedule the pending deliveries of a previous run
+   * @returns {number} Number of deliveries scheduled
+   */
+  async resumePending() {
+    const result = await pool.query(
+      `SELECT id, GREATEST(0, EXTRACT(EPOCH FROM next_attempt_at - CURRENT_TIMESTAMP) * 1000) AS delay_ms
+       FROM public.webhook_deliveries
+       WHERE status = 'pending'
+       ORDER BY id`,
+    )
+    for (const row of result.rows) {
+      this.schedule(row.id, Number(row.delay_ms))
+    }
+    return result.rows.length
+  }
+
+  /**
+   * Stop scheduling attempts for shutdown; deliveries stay pending in the
+   * database and are resumed on the next start
+   * @returns {Promise} Settles once the events being queued and the attempts already under way are recorded
+   */
+  stop() {
+    this.stopped = true
+    this.timers.forEach((timer) => clearTimeout(timer))
+    this.timers.clear()
+    return Promise.allSettled([...this.inFlight])
+  }
+
+  schedule(id, delayMs) {
+    if (this.stopped) return
+
+    clearTimeout(this.timers.get(id))
+    const timer = setTimeout(() => {
+      this.timers.delete(id)
+      const attempt = this.attempt(id)
+        .catch((error) => logger.error(`Webhook delivery ${id} could not be attempted`, { error }))
+        .finally(() => this.inFlight.delete(attempt))
+      this.inFlight.add(attempt)
+    }, delayMs)
+    timer.unref()
+    this.timers.set(id, timer)
+  }
+
+  /**
+   * Make one attempt at a pending delivery and record its outcome
+   * @param {number} id - Delivery id
+   */
+  async attempt(id) {
+    const result = await pool.query(
+      `SELECT d.*, w.url, w.secret
+       FROM public.webhook_deliveries d JOIN public.webhooks w ON w.id = d.webhook_id
+       WHERE d.id = $1 AND d.status = 'pending'`,
+      [id],
+    )
+    const delivery = result.rows[0]
+    if (!delivery) return
+
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const startTime = Date.now()
+    let responseStatus = null
+    let responseBody = null
+    let error = null
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "csv-json-converter-webhooks",
+          "X-Webhook-Id": String(delivery.webhook_id),
+          "X-Webhook-Delivery": String(delivery.id),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(delivery.secret, timestamp, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      })
+      responseStatus = response.status
+      responseBody = await readBodyPrefix(response, MAX_RESPONSE_BODY_BYTES)
+      if (!response.ok) {
+        error = `Receiver answered ${response.status}`
+      }
+    } catch (requestError) {
+      // fetch reports network errors as "fetch failed" with the reason in cause
+      error =
+        requestError.name === "TimeoutError"
+          ? `No response within ${TIMEOUT_MS}ms`
+          : requestError.cause?.message || requestError.message
+    }
+
+    const attempts = delivery.attempts + 1
+    const status = error === null ? "delivered" : attempts >= MAX_ATTEMPTS ? "failed" : "pending"
+    const retryDelayMs = status === "pending" ? RETRY_BASE_MS * 2 ** (attempts - 1) : null
+
+    await pool.query(
+      `UPDATE public.webhook_deliveries
+       SET status = $2, attempts = $3, response_status = $4, response_body = $5, error = $6, duration_ms = $7,
+           next_attempt_at = CURRENT_TIMESTAMP + $8::double precision * INTERVAL '1 millisecond',
+           delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP END
+       WHERE id = $1`,
+      [id, status, attempts, responseStatus, responseBody, error, Date.now() - startTime, retryDelayMs],
+    )
+
+    if (status === "pending") {
+      this.schedule(id, retryDelayMs)
+    } else if (status === "failed") {
+      logger.error(`Webhook delivery ${id} to ${delivery.url} failed after ${attempts} attempts: ${error}`, {
+        webhookId: delivery.webhook_id,
+        deliveryId: id,
+        event: delivery.event,
+      })
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  normalizeWebhookOptions,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  signPayload,
+  webhookDispatcher: new WebhookDispatcher(),
+}
@@ -0,0 +1,178 @@
+const { test, before, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { EventEmitter } = require("events")
+const { setImmediate } = require("timers/promises")
+const logger = require("../src/utils/logger")
+const apiKeys = require("../src/utils/apiKeys")
+const { authenticate, requireScope, enforceUploadQuota } = require("../src/middleware/apiKeyAuth")
+
+before(() => logger.configure({ level: "silent" }))
+afterEach(() => mock.restoreAll())
+
+let nextKeyId = 1
+
+function createApiKey(fields = {}) {
+  return {
+    id: nextKeyId++,
+    name: "test",
+    scopes: ["upload"],
+    rate_limit_per_minute: 60,
+    daily_upload_bytes: null,
+    daily_upload_rows: null,
+    revoked_at: null,
+    ...fields,
+  }
+}
+
+function createRequest(headers = {}, apiKey = null) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  const res = createResponse()
+  const req = {
+    method: "POST",
+    originalUrl: "/api/upload-csv",
+    apiKey,
+    res,
+    get: (name) => lowerCased[name.toLowerCase()],
+    is: (type) => (lowerCased["content-type"] || "").startsWith(type),
+  }
+  return { req, res }
+}
+
+function createResponse() {
+  const res = new EventEmitter()
+  res.statusCode = 200
+  res.headers = {}
+  res.status = (code) => {
+    res.statusCode = code
+    return res
+  }
+  res.json = (body) => {
+    res.body = body
+    return res
+  }
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === "object" ? name : { [name]: value })
+    return res
+  }
+  res.get = (name) => res.headers[name]
+  return res
+}
+
+async function run(middleware, req, res) {
+  let nextCalled = false
+  await middleware(req, res, () => {
+    nextCalled = true
+  })
+  return nextCalled
+}
+
+function stubUsage(usage) {
+  mock.method(apiKeys, "getDailyUsage", async () => ({ requests: 0, uploadBytes: 0, uploadRows: 0, ...usage }))
+}
+
+test("authenticate answers 401 without a key", async () => {
+  const { req, res } = createRequest()
+  assert.equal(await run(authenticate, req, res), false)
+  assert.equal(res.statusCode, 401)
+})
+
+test("authenticate answers 401 for a revoked key", async () => {
+  mock.method(apiKeys, "findApiKey", async () => createApiKey({ revoked_at: new Date() }))
+  const { req, res } = createRequest({ "X-API-Key": "csvk_revoked" })
+  assert.equal(await run(authenticate, req, res), false)
+  assert.equal(res.statusCode, 401)
+  assert.equal(res.body.error, "API key has been revoked")
+})
+
+test("authenticate attaches the key and sets rate limit headers", async () => {
+  const apiKey = createApiKey()
+  mock.method(apiKeys, "findApiKey", async () => apiKey)
+  const { req, res } = createRequest({ Authorization: "Bearer csvk_valid" })
+  assert.equal(await run(authenticate, req, res), true)
+  assert.equal(req.apiKey, apiKey)
+  assert.equal(res.headers["X-RateLimit-Limit"], "60")
+  assert.equal(res.headers["X-RateLimit-Remaining"], "59")
+})
+
+test("requireScope answers 403 when the key lacks the scope", async () => {
+  const { req, res } = createRequest({}, createApiKey({ scopes: ["read"] }))
+  assert.equal(await run(requireScope("upload"), req, res), false)
+  assert.equal(res.statusCode, 403)
+})
+
+test("requireScope lets admin keys through", async () => {
+  const { req, res } = createRequest({}, createApiKey({ scopes: ["admin"] }))
+  assert.equal(await run(requireScope("upload"), req, res), true)
+})
+
+test("enforceUploadQuota rejects an upload over the byte quota from its Content-Length", async () => {
+  stubUsage({ uploadBytes: 900 })
+  const apiKey = createApiKey({ daily_upload_bytes: "1000" })
+  const { req, res } = createRequest({ "Content-Type": "multipart/form-data", "Content-Length": "200" }, apiKey)
+  assert.equal(await run(enforceUploadQuota, req, res), false)
+  assert.equal(res.statusCode, 429)
+  assert.match(res.body.error, /1000 bytes \(900 used today, this upload is 200\)/)
+})
+
+test("enforceUploadQuota counts uploads in progress until they finish", async () => {
+  stubUsage({ uploadBytes: 0 })
+  const apiKey = createApiKey({ daily_upload_bytes: "1000" })
+  const headers = { "Content-Type": "multipart/form-data", "Content-Length": "600" }
+
+  const first = createRequest(headers, apiKey)
+  assert.equal(await run(enforceUploadQuota, first.req, first.res), true)
+
+  const second = createRequest(headers, apiKey)
+  assert.equal(await run(enforceUploadQuota, second.req, second.res), false)
+  assert.equal(second.res.statusCode, 429)
+
+  first.res.emit("close")
+  await setImmediate()
+
+  const third = createRequest(headers, apiKey)
+  assert.equal(await run(enforceUploadQuota, third.req, third.res), true)
+})
+
+test("enforceUploadQuota leaves the remaining bytes for a chunked raw body", async () => {
+  stubUsage({ uploadBytes: 300 })
+  const apiKey = createApiKey({ daily_upload_bytes: "1000" })
+  const { req, res } = createRequest({ "Content-Type": "text/csv", "Transfer-Encoding": "chunked" }, apiKey)
+  assert.equal(await run(enforceUploadQuota, req, res), true)
+  assert.equal(req.uploadBytesRemaining, 700)
+})
+
+test("enforceUploadQuota refuses a chunked multipart upload when bytes are limited", async () => {
+  stubUsage({})
+  const apiKey = createApiKey({ daily_upload_bytes: "1000" })
+  const { req, res } = createRequest({ "Content-Type": "multipart/form-data", "Transfer-Encoding": "chunked" }, apiKey)
+  assert.equal(await run(enforceUploadQuota, req, res), false)
+  assert.equal(res.statusCode, 411)
+})
+
+test("enforceUploadQuota rejects uploads once the row quota is used up", async () => {
+  stubUsage({ uploadRows: 500 })
+  const apiKey = createApiKey({ daily_upload_rows: "500" })
+  const { req, res } = createRequest({ "Content-Type": "multipart/form-data", "Content-Length": "10" }, apiKey)
+  assert.equal(await run(enforceUploadQuota, req, res), false)
+  assert.equal(res.statusCode, 429)
+  assert.match(res.body.error, /500 rows \(500 imported today\)/)
+})
+
+test("enforceUploadQuota skips keys without quotas", async () => {
+  const getDailyUsage = mock.method(apiKeys, "getDailyUsage", async () => {
+    throw new Error("should not be called")
+  })
+  const { req, res } = createRequest({ "Content-Length": "10" }, createApiKey())
+  assert.equal(await run(enforceUploadQuota, req, res), true)
+  assert.equal(getDailyUsage.mock.callCount(), 0)
+})
+
+test("enforceUploadQuota answers 500 when usage cannot be read", async () => {
+  mock.method(apiKeys, "getDailyUsage", async () => {
+    throw new Error("database down")
+  })
+  const apiKey = createApiKey({ daily_upload_bytes: "1000" })
+  const { req, res } = createRequest({ "Content-Type": "multipart/form-data", "Content-Length": "10" }, apiKey)
+  assert.equal(await run(enforceUploadQuota, req, res), false)
+  assert.equal(res.statusCode, 500)
+})
@@ -0,0 +1,72 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const CSVLineSplitter = require("../src/utils/csvLineSplitter")
+
+function split(chunks, dialect = {}, options = {}) {
+  const splitter = new CSVLineSplitter(dialect, options)
+  const lines = []
+  for (const chunk of chunks) {
+    lines.push(...splitter.push(chunk))
+  }
+  lines.push(...splitter.flush())
+  return lines
+}
+
+test("splits lines and numbers them from 1", () => {
+  assert.deepEqual(split(["a,b\n1,2\n3,4"]), [
+    { line: "a,b", lineNumber: 1 },
+    { line: "1,2", lineNumber: 2 },
+    { line: "3,4", lineNumber: 3 },
+  ])
+})
+
+test("keeps line breaks inside quotes and numbers the next line by physical line", () => {
+  assert.deepEqual(split(['a,b\n"x\ny",1\n2,3\n']), [
+    { line: "a,b", lineNumber: 1 },
+    { line: '"x\ny",1', lineNumber: 2 },
+    { line: "2,3", lineNumber: 4 },
+  ])
+})
+
+test("joins a line split across chunks, including inside quotes", () => {
+  assert.deepEqual(split(['a,"b', '\nc",d\n', "e,f"]), [
+    { line: 'a,"b\nc",d', lineNumber: 1 },
+    { line: "e,f", lineNumber: 3 },
+  ])
+})
+
+test("strips Windows line endings and skips blank lines", () => {
+  assert.deepEqual(split(["a,b\r\n\r\n  \n1,2\r\n"]), [
+    { line: "a,b", lineNumber: 1 },
+    { line: "1,2", lineNumber: 4 },
+  ])
+})
+
+test("treats an escaped quote as literal with a separate escape character", () => {
+  const lines = split(['"a\\"\nb",c\nd\n'], { quote: '"', escape: "\\" })
+  assert.deepEqual(lines, [
+    { line: '"a\\"\nb",c', lineNumber: 1 },
+    { line: "d", lineNumber: 3 },
+  ])
+})
+
+test("leaves doubled quotes balanced", () => {
+  assert.deepEqual(split(['"say ""hi""",1\n2,3\n']), [
+    { line: '"say ""hi""",1', lineNumber: 1 },
+    { line: "2,3", lineNumber: 2 },
+  ])
+})
+
+test("rejects a logical line longer than maxLineLength", () => {
+  assert.throws(() => split(["a,b\n", "x".repeat(11), "\n"], {}, { maxLineLength: 10 }), {
+    message: "Line 2 is longer than 10 characters",
+  })
+})
+
+test("points at an unbalanced quote when a quoted line grows too long", () => {
+  const splitter = new CSVLineSplitter({}, { maxLineLength: 10 })
+  splitter.push('a,b\n"open,')
+  assert.throws(() => splitter.push("\n".repeat(5) + "more text"), {
+    message: "Line 2 is longer than 10 characters; check for an unbalanced quote",
+  })
+})
@@ -0,0 +1,76 @@
+const { test, before } = require("node:test")
+const assert = require("node:assert/strict")
+const { Readable } = require("stream")
+const logger = require("../src/utils/logger")
+const csvParser = require("../src/utils/csvParser")
+
+const COMMA = { delimiter: ",", quote: '"', escape: '"' }
+const HEADER = "name.firstName,name.lastName,age"
+
+before(() => logger.configure({ level: "silent" }))
+
+async function collect(content, options = {}) {
+  const records = []
+  const skipped = []
+  const stream = csvParser.parseCSVStream(Readable.from([content]), {
+    ...options,
+    onRowSkipped: (lineNumber, reason) => skipped.push({ lineNumber, reason }),
+  })
+  for await (const record of stream) {
+    records.push(record)
+  }
+  return { records, skipped }
+}
+
+test("splits a row on delimiters outside quotes and unescapes doubled quotes", () => {
+  assert.deepEqual(csvParser.parseCSVRow('a,"b,c","say ""hi""",', COMMA), ["a", "b,c", 'say "hi"', ""])
+})
+
+test("trims unquoted values but keeps whitespace inside quotes", () => {
+  assert.deepEqual(csvParser.parseCSVRow(' a ,"  b ", " c" ', COMMA), ["a", "  b ", " c"])
+})
+
+test("builds nested objects and arrays from header paths", () => {
+  const [record] = csvParser.parseCSVContent(`${HEADER},address.city,tags[0],tags[1]\nAnn,Lee,30,Pune,a,b\n`, COMMA)
+  assert.deepEqual(record, {
+    name: { firstName: "Ann", lastName: "Lee" },
+    age: 30,
+    address: { city: "Pune" },
+    tags: ["a", "b"],
+  })
+})
+
+test("keeps a line break inside a quoted value", () => {
+  const [record] = csvParser.parseCSVContent(`${HEADER}\n"Mary\nAnn",Lee,41\n`, COMMA)
+  assert.equal(record.name.firstName, "Mary\nAnn")
+})
+
+test("keeps a ':string' annotated column as text", () => {
+  const [record] = csvParser.parseCSVContent(`${HEADER},phone:string\nAnn,Lee,30,02012345678\n`, COMMA)
+  assert.equal(record.phone, "02012345678")
+})
+
+test("rejects a header without the mandatory fields", () => {
+  assert.throws(() => csvParser.parseCSVContent("name.firstName,age\nAnn,30\n", COMMA), /name\.lastName/)
+})
+
+test("skips rows with the wrong number of columns and reports their line", async () => {
+  const { records, skipped } = await collect(`${HEADER}\nAnn,Lee,30\nBob,Ray\n"Cy\nD",Dee,40\n`, { dialect: COMMA })
+  assert.equal(records.length, 2)
+  assert.deepEqual(skipped.map(({ lineNumber }) => lineNumber), [3])
+  assert.match(skipped[0].reason, /Column count mismatch/)
+})
+
+test("refuses __proto__ as a key instead of polluting prototypes", async () => {
+  const { records, skipped } = await collect(`__proto__,${HEADER}\n1,Ann,Lee,30\n`, { dialect: COMMA, flat: true })
+  assert.equal(records.length, 0)
+  assert.match(skipped[0].reason, /'__proto__' cannot be used as a key/)
+  assert.equal({}.polluted, undefined)
+})
+
+test("caps the property path cache", () => {
+  for (let i = 0; i < 1500; i++) {
+    csvParser.parsePropertyPath(`column${i}.value`)
+  }
+  assert.equal(csvParser.pathCache.size, 1000)
+})
@@ -0,0 +1,77 @@
+const { test, before } = require("node:test")
+const assert = require("node:assert/strict")
+const logger = require("../src/utils/logger")
+const csvParser = require("../src/utils/csvParser")
+const { flattenRecord, formatCSVRow, CSVColumnCollector } = require("../src/utils/csvWriter")
+const { recordToRow, rowToRecord } = require("../src/utils/userRecords")
+
+before(() => logger.configure({ level: "silent" }))
+
+/**
+ * Write rows the way GET /api/users/export does and import the CSV again
+ * @param {Array} rows - public.users rows
+ * @returns {Object} { csv, rows } with the exported CSV and the rows it imports as
+ */
+function roundTrip(rows) {
+  const columns = new CSVColumnCollector()
+  for (const row of rows) {
+    columns.add(flattenRecord(rowToRecord(row)))
+  }
+
+  const paths = columns.getPaths()
+  let csv = formatCSVRow(columns.getHeaders())
+  for (const row of rows) {
+    const flatRecord = flattenRecord(rowToRecord(row))
+    csv += formatCSVRow(paths.map((path) => flatRecord.get(path)))
+  }
+
+  return { csv, rows: csvParser.parseCSVContent(csv).map(recordToRow) }
+}
+
+test("exported users import as the same rows", () => {
+  const rows = [
+    recordToRow({
+      name: { firstName: "Ann", lastName: "Lee" },
+      age: 30,
+      address: { city: "Pune", zipCode: "411001" },
+      tags: ["a", "b"],
+    }),
+    recordToRow({ name: { firstName: "Bob", lastName: "Ray" }, age: 41, employment: { level: "L4", remote: true } }),
+  ]
+
+  assert.deepEqual(roundTrip(rows).rows, rows)
+})
+
+test("names with spaces keep their first and last name parts", () => {
+  const rows = [
+    recordToRow({ name: { firstName: "Mary Ann", lastName: "van der Berg" }, age: 52 }),
+    recordToRow({ name: { firstName: "Zed", lastName: "Ng" }, age: 20 }),
+  ]
+
+  const imported = roundTrip(rows).rows
+  assert.equal(imported[0].first_name, "Mary Ann")
+  assert.equal(imported[0].last_name, "van der Berg")
+  assert.deepEqual(imported, rows)
+})
+
+test("quoted values keep delimiters, quotes, line breaks and surrounding whitespace", () => {
+  const rows = [
+    recordToRow({ name: { firstName: "  Zed ", lastName: 'O"Neil, Jr.' }, age: 33, note: "line one\nline two" }),
+    recordToRow({ name: { firstName: "Amy", lastName: "Fox" }, age: 28, note: "plain" }),
+  ]
+
+  assert.deepEqual(roundTrip(rows).rows, rows)
+})
+
+test("strings that would be retyped are annotated and come back as strings", () => {
+  const rows = [
+    recordToRow({ name: { firstName: "Ann", lastName: "Lee" }, age: 30, phone: "02012345678", code: "007" }),
+    recordToRow({ name: { firstName: "Bob", lastName: "Ray" }, age: 41, phone: "n/a", code: "x" }),
+  ]
+
+  const { csv, rows: imported } = roundTrip(rows)
+  const headers = csv.split("\n")[0].split(",")
+  assert.ok(headers.includes("phone:string"))
+  assert.ok(headers.includes("code:string"))
+  assert.deepEqual(imported, rows)
+})